@@ -0,0 +1,311 @@
+/* ============================================================================
+   ENERGY BODIES — POSE ANALYTICS ENGINE
+   The pose → emotion / region / metric math of the display, without p5, so
+   the sketch, Node scripts and replay tools all compute the same results.
+   Shared by sketch.js (<script>, exposes window.EBAnalytics) and Node (require).
+
+     const engine = EBAnalytics.createEngine(TUNE, { width: 640, height: 480 });
+     const { emotions, regions, metrics } = engine.update(pose.keypoints, current);
+
+   `keypoints` are PoseNet keypoints ({ part, position: { x, y }, score }) in a
+   frame of width × height. `current` holds the values the display shows now
+   ({ emotion: { joy: … }, region: { head: … } }); pose readings are blended
+   into them the same way the sliders are. Each engine keeps its own smoothing
+   state, so use one per tracked body.
+
+   Calibration: startCalibration() records the person's neutral stance for
+   TUNE.calibration.durationMs. From then on sadness, calm and fear measure how
+   far the pose has moved from that baseline (in torso lengths / shoulder
+   widths) instead of raw pixels, so body size and distance to the camera stop
+   skewing them. Until a baseline exists the absolute mappings are used.
+   Calibration gives up (state back to 'none', no baseline) after
+   calibration.giveUpAfter × durationMs without minSamples full torsos.
+
+   The metric → emotion mappings themselves live with each emotion in
+   js/eb-emotions.js (load it first in the browser).
+   ============================================================================ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./eb-emotions'));
+  else root.EBAnalytics = factory(root.EBEmotions);
+})(typeof self !== 'undefined' ? self : this, function (EBEmotions) {
+  'use strict';
+
+  const REGIONS = ['head', 'neck', 'armsHands', 'chest', 'abdomen', 'legsFeet', 'spine'];
+
+  const REGION_KEYPOINTS = {
+    head: ['nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar'],
+    neck: ['leftShoulder', 'rightShoulder'],
+    chest: ['leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist'],
+    armsHands: ['leftWrist', 'rightWrist', 'leftElbow', 'rightElbow'],
+    abdomen: ['leftHip', 'rightHip'],
+    legsFeet: ['leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle']
+  };
+
+  /* =============================
+     MATH (same semantics as p5)
+     ============================= */
+  const map = (v, a, b, c, d) => c + (v - a) * (d - c) / (b - a);
+  const lerp = (a, b, k) => a + (b - a) * k;
+  const constrain = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  const clamp01 = v => constrain(v, 0, 1);
+  const dist = (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1);
+  const to5 = (v, a, b) => constrain(map(v, a, b, 0, 5), 0, 5);
+  const mapRange = (v, r) => constrain(map(v, r.inMin, r.inMax, r.outMin, r.outMax), 0, 5);
+
+  // Options may be numbers or functions (read on every update, e.g. a resizable canvas)
+  const read = x => (typeof x === 'function' ? x() : x);
+
+  // Keypoints the analytics reads: confident ones, and ones the PoseNet filter holds at their
+  // last filtered position while their score dips (coasting: true)
+  const usable = (k, minScore) => k.coasting === true || k.score > minScore;
+
+  // Normalized [part, nx, ny, score] tuples (pose messages, recordings) → PoseNet keypoints
+  function fromNormalized(tuples, width = 640, height = 480) {
+    return tuples.map(([part, nx, ny, score]) => ({ part, score, position: { x: nx * width, y: ny * height } }));
+  }
+
+  /* =============================
+     ENGINE
+     opts: width/height of the keypoint frame, canvasHeight (sadness range
+     when TUNE leaves it null), spineMax (spine output range), centerX (x the
+     spine sway is measured from; defaults to the middle of the frame), now
+     (clock in ms for calibration timing)
+     ============================= */
+  function createEngine(tune, opts = {}) {
+    const o = { width: 640, height: 480, spineMax: 100, now: () => Date.now(), ...opts };
+    let s = {};
+    let cal = { state: 'none', baseline: null }; // none | collecting | done
+
+    // Zero the smoothed metrics; with caches, also forget the previous frame
+    // so the next one re-seeds the velocity deltas instead of reading a jump.
+    // With calibration, also drop the baseline (a different person).
+    function reset({ caches = true, calibration = false } = {}) {
+      s = {
+        prevKeypoints: caches ? null : s.prevKeypoints, // previous confident keypoints (global velocity)
+        prevByPart: caches ? new Map() : s.prevByPart, // per-part previous position (region motion)
+        movementVelocity: 0, fastVel: 0, slowVel: 0,
+        structure: 0, balance: 0, postureLean: 0, avgY: 0, lean: 0
+      };
+      if (calibration) cal = { state: 'none', baseline: null };
+    }
+    reset();
+
+    /* ---------- calibration ---------- */
+    // Scale-free description of one frame's torso, or null if it is not fully visible
+    function stanceOf(parts) {
+      const { leftShoulder: Ls, rightShoulder: Rs, leftHip: Lh, rightHip: Rh } = parts;
+      if (!(Ls && Rs && Lh && Rh)) return null;
+      const sx = (Ls.x + Rs.x) / 2, sy = (Ls.y + Rs.y) / 2;
+      const hx = (Lh.x + Rh.x) / 2, hy = (Lh.y + Rh.y) / 2;
+      return {
+        shoulderY: sy,
+        shoulderWidth: Math.max(1, dist(Ls.x, Ls.y, Rs.x, Rs.y)),
+        torsoLength: Math.max(1, dist(sx, sy, hx, hy)),
+        tilt: Math.abs(Ls.y - Rs.y) + Math.abs(Lh.y - Rh.y),
+        lean: Math.atan2(hy - sy, hx - sx)
+      };
+    }
+
+    const median = xs => { const a = xs.slice().sort((x, y) => x - y); return a[Math.floor(a.length / 2)]; };
+
+    function startCalibration() {
+      if (!tune.calibration) return;
+      cal = { state: 'collecting', baseline: cal.baseline, startedAt: read(o.now), samples: [] };
+    }
+
+    // No full torso in view for long enough: drop the old baseline too, it may be someone else's
+    function giveUpIfLate() {
+      const C = tune.calibration;
+      if (read(o.now) - cal.startedAt >= C.durationMs * C.giveUpAfter) cal = { state: 'none', baseline: null };
+    }
+
+    function collect(keypoints) {
+      const C = tune.calibration;
+      const confident = {};
+      for (const k of keypoints) if (usable(k, tune.velocity.kpMinScore)) confident[k.part] = k.position;
+      const stance = stanceOf(confident);
+      if (stance) cal.samples.push(stance);
+      if (read(o.now) - cal.startedAt < C.durationMs || cal.samples.length < C.minSamples) return giveUpIfLate();
+      const baseline = {};
+      for (const key of Object.keys(cal.samples[0])) baseline[key] = median(cal.samples.map(x => x[key]));
+      cal = { state: 'done', baseline };
+    }
+
+    function calibration() {
+      const C = tune.calibration;
+      if (cal.state === 'collecting') giveUpIfLate(); // also when update() gets no poses at all
+      if (cal.state !== 'collecting') return { state: cal.state, baseline: cal.baseline };
+      const progress = Math.min(1, (read(o.now) - cal.startedAt) / C.durationMs, cal.samples.length / C.minSamples);
+      return { state: cal.state, baseline: cal.baseline, progress };
+    }
+
+    const diag = () => Math.hypot(read(o.width) || 640, read(o.height) || 480) || 1;
+
+    function regionVelocity(keypoints, parts) {
+      const d = diag();
+      let sum = 0, n = 0;
+      for (const name of parts) {
+        const k = keypoints.find(p => p.part === name && usable(p, tune.velocity.kpMinScore));
+        if (!k) continue;
+        const prev = s.prevByPart.get(name);
+        if (prev) {
+          sum += Math.hypot((k.position.x - prev.x) / d, (k.position.y - prev.y) / d);
+          n++;
+        }
+        s.prevByPart.set(name, { x: k.position.x, y: k.position.y });
+      }
+      return n > 0 ? sum / n : 0;
+    }
+
+    // Pose readings blended into the current emotion values; null without confident keypoints
+    function emotionsFrom(keypoints, parts, current) {
+      const V = tune.velocity, E = tune.emotions;
+      const kp = keypoints.filter(k => usable(k, V.kpMinScore));
+      if (!kp.length) return null;
+
+      // global velocity
+      let velAvg = 0;
+      if (s.prevKeypoints) {
+        const d = diag();
+        let sum = 0, n = 0;
+        for (const k of kp) {
+          const prev = s.prevKeypoints.find(p => p.part === k.part);
+          if (!prev) continue;
+          sum += Math.hypot((k.position.x - prev.x) / d, (k.position.y - prev.y) / d);
+          n++;
+        }
+        if (n > 0) velAvg = sum / n;
+      }
+      s.prevKeypoints = kp.map(k => ({ part: k.part, x: k.position.x, y: k.position.y }));
+
+      const vNorm = clamp01(map(velAvg, V.vNormInMin, V.vNormInMax, 0, 1));
+      s.movementVelocity = lerp(s.movementVelocity, vNorm, V.vBlend);
+      s.fastVel = lerp(s.fastVel, vNorm, V.fastEMA);
+      s.slowVel = lerp(s.slowVel, vNorm, V.slowEMA);
+      const burst = Math.max(0, s.fastVel - s.slowVel);
+
+      // structure: wrist reach relative to shoulder span
+      const Ls = parts.leftShoulder, Rs = parts.rightShoulder, Lw = parts.leftWrist, Rw = parts.rightWrist;
+      let structure = 0;
+      if (Ls && Rs && Lw && Rw) {
+        const span = dist(Ls.x, Ls.y, Rs.x, Rs.y);
+        const lw = dist(Ls.x, Ls.y, Lw.x, Lw.y) / span;
+        const rw = dist(Rs.x, Rs.y, Rw.x, Rw.y) / span;
+        structure = clamp01(map((lw + rw) * 0.5, 0.7, 2.0, 0, 1));
+      }
+      s.structure = lerp(s.structure, structure, 0.15);
+
+      // balance: shoulder + hip tilt
+      const shoulderDiff = Math.abs(Ls?.y - Rs?.y), hipDiff = Math.abs(parts.leftHip?.y - parts.rightHip?.y);
+      s.balance = lerp(s.balance, shoulderDiff + hipDiff, 0.15);
+
+      // posture lean
+      let lean = 0, angle = null;
+      if (Ls && Rs && parts.leftHip && parts.rightHip) {
+        const sx = (Ls.x + Rs.x) / 2, sy = (Ls.y + Rs.y) / 2;
+        const hx = (parts.leftHip.x + parts.rightHip.x) / 2, hy = (parts.leftHip.y + parts.rightHip.y) / 2;
+        angle = Math.atan2(hy - sy, hx - sx);
+        lean = clamp01(map(Math.abs(angle), 0.0, Math.PI / 6, 0, 1));
+      }
+      s.postureLean = lerp(s.postureLean, lean, 0.15);
+
+      if (Ls && Rs) s.avgY = lerp(s.avgY, (Ls.y + Rs.y) / 2, 0.1);
+
+      const base = cal.baseline;
+      if (base && angle !== null) s.lean = lerp(s.lean, Math.abs(angle - base.lean), 0.15); // change from the neutral stance
+
+      const m = { ...s, burst, baseline: base, canvasHeight: read(o.canvasHeight ?? o.height) };
+      const out = {};
+      for (const { name, pose } of EBEmotions.all()) {
+        const slider = current[name] ?? 0;
+        out[name] = pose ? lerp(slider, pose(m, tune, { mapRange, to5 }), E.blendPoseVsSlider) : slider;
+      }
+      return out;
+    }
+
+    // Region values eased toward what the pose implies
+    function regionsFrom(keypoints, current) {
+      const C = tune.coupling;
+      const get = part => {
+        const k = keypoints.find(p => p.part === part && usable(p, tune.velocity.kpMinScore));
+        return k ? k.position : null;
+      };
+      const ls = get('leftShoulder'), rs = get('rightShoulder');
+      const lh = get('leftHip'), rh = get('rightHip');
+      const lw = get('leftWrist'), rw = get('rightWrist');
+      const la = get('leftAnkle'), ra = get('rightAnkle');
+      const out = { ...current };
+      const ease = (name, target, k) => { out[name] = lerp(current[name] ?? 0, target, k); };
+
+      // head / neck: motion only
+      ease('head', to5(regionVelocity(keypoints, REGION_KEYPOINTS.head), C.head.velMin, C.head.velMax), C.head.lerp);
+      ease('neck', to5(regionVelocity(keypoints, REGION_KEYPOINTS.neck), C.neck.velMin, C.neck.velMax), C.neck.lerp);
+
+      // arms/hands: spread + motion boost
+      if (lw && rw && ls && rs) {
+        const span = dist(ls.x, ls.y, rs.x, rs.y);
+        const base = to5(dist(lw.x, lw.y, rw.x, rw.y) / Math.max(span, 1e-6), C.armsHands.wristSpreadMin, C.armsHands.wristSpreadMax);
+        const boost = to5(regionVelocity(keypoints, REGION_KEYPOINTS.armsHands), C.head.velMin, C.chest.velMax) * 0.5;
+        ease('armsHands', constrain(base + boost, 0, 5), C.armsHands.lerp);
+      }
+
+      // chest: motion + openness
+      if (ls && rs) {
+        const span = dist(ls.x, ls.y, rs.x, rs.y);
+        let openness = 0;
+        if (lw && rw) openness = (dist(ls.x, ls.y, lw.x, lw.y) / span + dist(rs.x, rs.y, rw.x, rw.y) / span) * 0.5;
+        const openVal = to5(openness, C.chest.reachMin, C.chest.reachMax);
+        const vVal = to5(regionVelocity(keypoints, REGION_KEYPOINTS.chest), C.chest.velMin, C.chest.velMax);
+        ease('chest', constrain(0.6 * openVal + 0.4 * vVal, 0, 5), C.chest.lerp);
+      }
+
+      // abdomen: compression + motion
+      if (ls && rs && lh && rh) {
+        const span = dist(ls.x, ls.y, rs.x, rs.y);
+        const torsoLen = dist((ls.x + rs.x) / 2, (ls.y + rs.y) / 2, (lh.x + rh.x) / 2, (lh.y + rh.y) / 2) / Math.max(span, 1e-6);
+        const torsoVal = 5 - to5(torsoLen, C.abdomen.torsoMin, C.abdomen.torsoMax); // compressed → wider
+        const vVal = to5(regionVelocity(keypoints, REGION_KEYPOINTS.abdomen), C.abdomen.velMin, C.abdomen.velMax);
+        ease('abdomen', constrain(0.6 * torsoVal + 0.4 * vVal, 0, 5), C.abdomen.lerp);
+      }
+
+      // legs/feet: ankle spread + leg motion
+      if (la && ra && lh && rh) {
+        const stepW = dist(la.x, la.y, ra.x, ra.y) / Math.max(dist(lh.x, lh.y, rh.x, rh.y), 1e-6);
+        const spreadVal = to5(stepW, C.legsFeet.ankleSpreadMin, C.legsFeet.ankleSpreadMax);
+        const vVal = to5(regionVelocity(keypoints, REGION_KEYPOINTS.legsFeet), C.legsFeet.velMin, C.legsFeet.velMax);
+        ease('legsFeet', constrain(0.5 * spreadVal + 0.5 * vVal, 0, 5), C.legsFeet.lerp);
+      }
+
+      // spine: sideways sway of the shoulder center from centerX
+      if (ls && rs) {
+        const span = dist(ls.x, ls.y, rs.x, rs.y);
+        const centerX = read(o.centerX) ?? (read(o.width) || 640) / 2;
+        const sway = ((ls.x + rs.x) * 0.5 - centerX) / Math.max(span, 1e-6);
+        ease('spine', map(sway, -C.spine.swayRange, C.spine.swayRange, 0, read(o.spineMax) || 100), C.spine.lerp);
+      }
+      return out;
+    }
+
+    function update(keypoints, current = {}) {
+      const emotion = current.emotion || {}, region = current.region || {};
+      const parts = {};
+      for (const k of keypoints || []) parts[k.part] = k.position;
+      if (cal.state === 'collecting') collect(keypoints || []);
+
+      const emotions = emotionsFrom(keypoints || [], parts, emotion) || { ...emotion };
+      const regions = regionsFrom(keypoints || [], region);
+      return { emotions, regions, metrics: metrics() };
+    }
+
+    function metrics() {
+      return {
+        movementVelocity: s.movementVelocity, fastVel: s.fastVel, slowVel: s.slowVel,
+        structure: s.structure, balance: s.balance, postureLean: s.postureLean, avgY: s.avgY
+      };
+    }
+
+    return { update, reset, metrics, startCalibration, calibration, tune, opts: o };
+  }
+
+  return { REGIONS, REGION_KEYPOINTS, createEngine, fromNormalized, usable };
+});
@@ -0,0 +1,149 @@
+/* ============================================================================
+   ENERGY BODIES — EMOTION REGISTRY
+   Every emotion the installation knows, defined once. An entry gives:
+
+     name    key in sliders / pose messages / session averages ('joy')
+     label   text of the control slider and the receipt row
+     chip    inline CSS of the legend chip next to the control slider
+     pose    (m, tune, f) → 0..5 reading from the pose metrics, or null for a
+             slider-only emotion. m holds the engine's smoothed metrics plus
+             burst, baseline (the calibrated stance, null until calibrated)
+             and canvasHeight; f holds the mapRange / to5 helpers.
+     layer   how the display draws it, or null:
+               { kind: 'marbles', color, noiseOffset }  tinted marbles in the body
+               { kind: 'strokes', tune, soothedBy }     the stroke pattern; the
+                                                        soothedBy emotion calms it
+               { kind: 'scale', tune }                  pulses the body's size
+                                                        (the first such entry wins)
+             `tune` names the TUNE.visuals block the layer reads; an optional
+             `z` orders layers of one kind (lower paints first, default 0).
+
+   The control builds its sliders, eb-analytics.js its pose readings,
+   eb-session.js its averages and the sketches their layers and receipt rows
+   from this list, in this order. To add an emotion, append an entry here (or
+   call EBEmotions.register() from a script loaded right after this one).
+   Shared by every page (<script>, exposes window.EBEmotions) and Node scripts
+   (require).
+   ============================================================================ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EBEmotions = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const LAYER_KINDS = ['marbles', 'strokes', 'scale'];
+
+  /* =============================
+     SHIPPED EMOTIONS
+     ============================= */
+  const SHIPPED = [
+    {
+      name: 'anxiety',
+      // dense, overlapping short lines
+      chip: {
+        background: 'repeating-linear-gradient(25deg, #f0f0f0 0px, #f0f0f0 2px, transparent 2px, transparent 4px), ' +
+          'repeating-linear-gradient(-30deg, #bcbcbc 0px, #bcbcbc 2px, transparent 2px, transparent 5px), ' +
+          'repeating-linear-gradient(70deg, #6b6b6b 0px, #6b6b6b 1px, transparent 1px, transparent 3px)',
+        backgroundColor: '#222222'
+      },
+      pose: (m, T, f) => f.mapRange(m.movementVelocity, T.emotions.anxietyFromVel),
+      layer: { kind: 'strokes', tune: 'anxiety', soothedBy: 'calm' }
+    },
+    {
+      name: 'sadness',
+      // blue tint / cool palette
+      chip: { background: 'linear-gradient(90deg, #1c3a63 0%, #2e6cb0 50%, #75b5ff 100%)' },
+      // calibrated: shoulder drop in torso lengths; else shoulder height in pixels
+      pose: (m, T, f) => {
+        if (m.baseline) return f.mapRange((m.avgY - m.baseline.shoulderY) / m.baseline.torsoLength, T.calibration.sadnessFromDrop);
+        const range = T.emotions.sadnessFromAvgY;
+        return f.mapRange(m.avgY, range.inMax === null ? { ...range, inMax: m.canvasHeight } : range);
+      },
+      layer: { kind: 'marbles', color: '#2196F3', noiseOffset: 100, z: 1 }
+    },
+    {
+      name: 'joy',
+      // bright yellow / radiant
+      chip: { background: 'linear-gradient(90deg, #ffea7a 0%, #ffd94c 50%, #ffb800 100%)' },
+      pose: (m, T, f) => f.mapRange(m.structure, T.emotions.joyFromStructure),
+      layer: { kind: 'marbles', color: '#ffff00', noiseOffset: 0 }
+    },
+    {
+      name: 'anger',
+      // hot pink / magenta, sharper intensity
+      chip: { background: 'repeating-linear-gradient(135deg, #ff9acb 0px, #ff9acb 2px, #ff4fa6 2px, #ff4fa6 4px)' },
+      pose: (m, T, f) => f.to5(m.burst, T.velocity.angerBurstMin, T.velocity.angerBurstMax),
+      layer: { kind: 'marbles', color: '#FF53BC', noiseOffset: 200, z: 2 }
+    },
+    {
+      name: 'fear',
+      // jagged edges, unsettled grayscale
+      chip: {
+        background: 'repeating-linear-gradient(135deg, #f5f5f5 0px, #f5f5f5 2px, #000000 2px, #000000 3px)',
+        backgroundColor: '#000000',
+        borderColor: '#f0f0f0',
+        boxShadow: '0 0 3px rgba(255, 255, 255, 0.7), 0 0 0 1px rgba(255, 255, 255, 0.4)',
+        clipPath: 'polygon(0% 18%, 8% 0%, 22% 22%, 35% 5%, 50% 25%, 63% 3%, 78% 20%, 100% 5%, ' +
+          '100% 82%, 90% 100%, 75% 78%, 60% 95%, 45% 72%, 30% 100%, 15% 80%, 0% 100%)'
+      },
+      // calibrated: change of torso angle from the neutral stance; else absolute lean
+      pose: (m, T, f) => (m.baseline ? f.mapRange(m.lean, T.calibration.fearFromLean) : f.mapRange(m.postureLean, T.emotions.fearFromLean)),
+      layer: { kind: 'scale', tune: 'fear' }
+    },
+    {
+      name: 'calm',
+      // thin, smooth curved lines, grayscale
+      chip: {
+        background: 'repeating-radial-gradient(circle at 0 120%, #000000 0px, #000000 1px, transparent 1px, transparent 6px), ' +
+          'repeating-radial-gradient(circle at 18px -40%, #000000 0px, #000000 1px, transparent 1px, transparent 6px)',
+        backgroundColor: '#f5f5f5',
+        borderColor: '#3a3a3a',
+        boxShadow: 'inset 0 0 2px rgba(255, 255, 255, 0.5)'
+      },
+      // calibrated: shoulder + hip tilt beyond the neutral stance, in shoulder widths
+      pose: (m, T, f) => (m.baseline
+        ? f.mapRange(Math.max(0, m.balance - m.baseline.tilt) / m.baseline.shoulderWidth, T.calibration.calmFromTilt)
+        : f.mapRange(m.balance, T.emotions.calmFromBalance)),
+      layer: null // drawn through anxiety's strokes (soothedBy)
+    }
+  ];
+
+  /* =============================
+     REGISTRY
+     ============================= */
+  const entries = [];
+
+  const capitalize = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+  // Adds an emotion after the existing ones; throws on a bad or duplicate definition
+  function register(def) {
+    if (!def || !/^[a-z][a-zA-Z0-9]*$/.test(def.name || '')) throw new Error(`emotion name must be a camelCase word (got ${def && def.name})`);
+    if (get(def.name)) throw new Error(`emotion "${def.name}" is already registered`);
+    if (def.pose != null && typeof def.pose !== 'function') throw new Error(`emotion "${def.name}": pose must be a function`);
+    if (def.layer && !LAYER_KINDS.includes(def.layer.kind)) throw new Error(`emotion "${def.name}": layer kind must be one of ${LAYER_KINDS.join(', ')}`);
+    const entry = Object.freeze({
+      name: def.name,
+      label: def.label || capitalize(def.name),
+      chip: Object.freeze({ ...(def.chip || { background: '#666' }) }),
+      pose: def.pose || null,
+      layer: def.layer ? Object.freeze({ ...def.layer }) : null
+    });
+    entries.push(entry);
+    return entry;
+  }
+
+  function get(name) {
+    return entries.find(e => e.name === name) || null;
+  }
+
+  const all = () => entries.slice();
+  const names = () => entries.map(e => e.name);
+  // Entries drawn by one layer kind, in paint order
+  const withLayer = kind => entries
+    .filter(e => e.layer && e.layer.kind === kind)
+    .sort((a, b) => (a.layer.z || 0) - (b.layer.z || 0));
+
+  SHIPPED.forEach(register);
+
+  return { LAYER_KINDS, register, get, all, names, withLayer };
+});
@@ -0,0 +1,234 @@
+/* ============================================================================
+   ENERGY BODIES — WEBGL LAYER COMPOSITOR
+   Composites the display's layer buffers (js/eb-layers.js) on the GPU instead
+   of with get() + p5.Image.mask() on the CPU:
+
+     const gl = EBGLCompositor.create();      // null without WebGL
+     gl.begin(width, height);                 // new frame, transparent
+     gl.mask(shapeMask.elt);                  // silhouette for the next layers
+     gl.draw(pg.elt, { opacity: 0.8, blend: 'screen', masked: true });
+     gl.draw(outline.elt, { rect: [x0, 0, colW, height] });  // cut to a column
+     scene.drawingContext.drawImage(gl.end(), 0, 0, width, height);
+
+   Sources are canvases (a p5.Graphics' .elt); each is uploaded as a texture
+   and blended onto the frame so far by one fragment shader, ping-ponging
+   between two framebuffers. Colors stay premultiplied like a 2D canvas, and
+   the blend modes follow the canvas ones (p5's BLEND, ADD, MULTIPLY, …, named
+   as in EBLayers.BLEND_MODES). After a lost context ok() turns false and the
+   caller should go back to 2D compositing. Browser only (<script>, exposes
+   window.EBGLCompositor); require() gives the module without a GPU.
+   ============================================================================ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EBGLCompositor = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Index = u_mode in the shader
+  const MODES = [
+    'blend', 'add', 'multiply', 'screen', 'overlay', 'lightest', 'darkest',
+    'difference', 'exclusion', 'hard_light', 'soft_light', 'dodge', 'burn'
+  ];
+  const COPY = -1; // end(): draw the frame to the canvas as it is
+
+  /* =============================
+     SHADERS
+     ============================= */
+  const VERTEX = `
+    attribute vec2 a_pos;
+    varying vec2 v_uv;
+    void main() {
+      v_uv = a_pos * 0.5 + 0.5;
+      gl_Position = vec4(a_pos, 0.0, 1.0);
+    }`;
+
+  // Separable blend functions of the W3C compositing spec, b = backdrop, s = source
+  const FRAGMENT = `
+    precision mediump float;
+    varying vec2 v_uv;
+    uniform sampler2D u_dst;
+    uniform sampler2D u_src;
+    uniform sampler2D u_mask;
+    uniform int u_mode;
+    uniform float u_opacity;
+    uniform bool u_masked;
+    uniform vec4 u_rect; // x0, y0, x1, y1 in uv; the source is cut to it
+
+    float screen1(float b, float s) { return b + s - b * s; }
+    float hardLight1(float b, float s) { return s <= 0.5 ? b * 2.0 * s : screen1(b, 2.0 * s - 1.0); }
+    float softLight1(float b, float s) {
+      if (s <= 0.5) return b - (1.0 - 2.0 * s) * b * (1.0 - b);
+      float d = b <= 0.25 ? ((16.0 * b - 12.0) * b + 4.0) * b : sqrt(b);
+      return b + (2.0 * s - 1.0) * (d - b);
+    }
+    float dodge1(float b, float s) { return b == 0.0 ? 0.0 : (s >= 1.0 ? 1.0 : min(1.0, b / (1.0 - s))); }
+    float burn1(float b, float s) { return b >= 1.0 ? 1.0 : (s == 0.0 ? 0.0 : 1.0 - min(1.0, (1.0 - b) / s)); }
+
+    vec3 blendColor(vec3 b, vec3 s) {
+      if (u_mode == 2) return b * s;
+      if (u_mode == 3) return b + s - b * s;
+      if (u_mode == 4) return vec3(hardLight1(s.r, b.r), hardLight1(s.g, b.g), hardLight1(s.b, b.b));
+      if (u_mode == 5) return max(b, s);
+      if (u_mode == 6) return min(b, s);
+      if (u_mode == 7) return abs(b - s);
+      if (u_mode == 8) return b + s - 2.0 * b * s;
+      if (u_mode == 9) return vec3(hardLight1(b.r, s.r), hardLight1(b.g, s.g), hardLight1(b.b, s.b));
+      if (u_mode == 10) return vec3(softLight1(b.r, s.r), softLight1(b.g, s.g), softLight1(b.b, s.b));
+      if (u_mode == 11) return vec3(dodge1(b.r, s.r), dodge1(b.g, s.g), dodge1(b.b, s.b));
+      if (u_mode == 12) return vec3(burn1(b.r, s.r), burn1(b.g, s.g), burn1(b.b, s.b));
+      return s;
+    }
+
+    void main() {
+      vec4 dst = texture2D(u_dst, v_uv);
+      if (u_mode < 0) { gl_FragColor = dst; return; }
+
+      vec4 src = texture2D(u_src, v_uv) * u_opacity;
+      if (u_masked) src *= texture2D(u_mask, v_uv).a;
+      if (any(lessThan(v_uv, u_rect.xy)) || any(greaterThan(v_uv, u_rect.zw))) src = vec4(0.0);
+
+      // add ('lighter') sums premultiplied colors
+      if (u_mode == 1) { gl_FragColor = min(dst + src, 1.0); return; }
+
+      vec3 cs = src.a > 0.0 ? src.rgb / src.a : vec3(0.0);
+      vec3 cb = dst.a > 0.0 ? dst.rgb / dst.a : vec3(0.0);
+      vec3 rgb = src.rgb * (1.0 - dst.a) + dst.rgb * (1.0 - src.a) + src.a * dst.a * blendColor(cb, cs);
+      gl_FragColor = vec4(rgb, src.a + dst.a * (1.0 - src.a));
+    }`;
+
+  /* =============================
+     COMPOSITOR
+     ============================= */
+  function compile(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader) || 'shader did not compile');
+    return shader;
+  }
+
+  function texture(gl) {
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    // Canvas sizes are rarely powers of two: no mipmaps, no repeat. Linear, so
+    // a buffer at a lower pixel density (js/eb-quality.js) scales up smoothly
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return tex;
+  }
+
+  // A compositor drawing into `canvas` (a new one by default), or null when
+  // WebGL or the shader is not available
+  function create({ canvas = null } = {}) {
+    if (!canvas && typeof document === 'undefined') return null;
+    canvas = canvas || document.createElement('canvas');
+    const gl = canvas.getContext('webgl', { premultipliedAlpha: true, alpha: true, antialias: false, depth: false });
+    if (!gl) return null;
+
+    let program;
+    try {
+      program = gl.createProgram();
+      gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, VERTEX));
+      gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, FRAGMENT));
+      gl.linkProgram(program);
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program) || 'program did not link');
+    } catch (err) {
+      console.warn('[RENDER] WebGL compositor unavailable:', err.message);
+      return null;
+    }
+    gl.useProgram(program);
+    const at = name => gl.getUniformLocation(program, name);
+    const u = {
+      dst: at('u_dst'), src: at('u_src'), mask: at('u_mask'), mode: at('u_mode'),
+      opacity: at('u_opacity'), masked: at('u_masked'), rect: at('u_rect')
+    };
+    gl.uniform1i(u.dst, 0); gl.uniform1i(u.src, 1); gl.uniform1i(u.mask, 2);
+
+    // One full-screen triangle strip
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    const aPos = gl.getAttribLocation(program, 'a_pos');
+    gl.enableVertexAttribArray(aPos);
+    gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 0, 0);
+
+    // Canvases upload straight side up and premultiplied, like the frame they land in
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.disable(gl.BLEND);
+
+    const srcTex = texture(gl), maskTex = texture(gl);
+    const frames = [0, 1].map(() => ({ tex: texture(gl), fbo: gl.createFramebuffer() }));
+    let current = 0; // frames[current] holds the frame so far
+    let lost = false;
+    canvas.addEventListener('webglcontextlost', e => { e.preventDefault(); lost = true; console.warn('[RENDER] WebGL context lost'); });
+
+    function resize(w, h) {
+      if (canvas.width === w && canvas.height === h) return;
+      canvas.width = w; canvas.height = h;
+      for (const f of frames) {
+        gl.bindTexture(gl.TEXTURE_2D, f.tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, f.fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, f.tex, 0);
+      }
+    }
+
+    function upload(unit, tex, source) {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, tex);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    }
+
+    // Starts a transparent w × h frame (the size of the sources, in device pixels)
+    function begin(w, h) {
+      resize(w, h);
+      gl.viewport(0, 0, w, h);
+      current = 0;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, frames[current].fbo);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+
+    // The silhouette later draw({ masked: true }) calls keep (its alpha)
+    function mask(source) {
+      upload(2, maskTex, source);
+    }
+
+    // Blends source onto the frame. rect = [x, y, w, h] in the source's own
+    // units from its top left (scaled by ratio, e.g. the pixel density)
+    function draw(source, { opacity = 1, blend = 'blend', masked = false, rect = null, ratio = 1 } = {}) {
+      upload(1, srcTex, source);
+      const next = 1 - current;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, frames[next].fbo);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, frames[current].tex);
+      gl.uniform1i(u.mode, Math.max(0, MODES.indexOf(blend)));
+      gl.uniform1f(u.opacity, opacity);
+      gl.uniform1i(u.masked, masked ? 1 : 0);
+      if (rect) {
+        const [x, y, w, h] = rect.map(v => v * ratio);
+        gl.uniform4f(u.rect, x / canvas.width, 1 - (y + h) / canvas.height, (x + w) / canvas.width, 1 - y / canvas.height);
+      } else {
+        gl.uniform4f(u.rect, 0, 0, 1, 1);
+      }
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      current = next;
+    }
+
+    // Draws the frame into the canvas and returns it (valid until the next task)
+    function end() {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, frames[current].tex);
+      gl.uniform1i(u.mode, COPY);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      return canvas;
+    }
+
+    return { canvas, begin, mask, draw, end, ok: () => !lost && !gl.isContextLost() };
+  }
+
+  return { MODES, create };
+});
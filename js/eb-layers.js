@@ -0,0 +1,105 @@
+/* ============================================================================
+   ENERGY BODIES — LAYER STACK
+   What the display paints for each energy body, as an ordered list of layers
+   instead of a fixed sequence in draw():
+
+     const stack = EBLayers.createStack();
+     stack.add({ id: 'glow', order: 15, opacity: 0.6, blend: 'add', mask: 'body',
+                 draw: (pg, ctx) => { … } });
+     stack.set('glow', { enabled: false });   // → null, or why it was refused
+
+   A layer paints into its own transparent buffer (pg, the size of the canvas),
+   which the sketch then composites onto the scene, lowest order first, with
+   the layer's opacity (0..1) and blend mode. mask 'body' keeps only what falls
+   inside the body's silhouette; 'canvas' keeps the body's whole column. ctx
+   carries what the sketch knows about the body being drawn (slider values,
+   scale, outline, …). Blend modes are p5's (BLEND, ADD, MULTIPLY, …), written
+   in lower case. No p5 in here, so the stack is shared by both sketches
+   (<script>, exposes window.EBLayers) and Node scripts (require).
+
+   The control toggles layers with { type: 'layer', id, enabled, opacity }; the
+   display reports its stack back as { type: 'layers', layers: describe() }.
+   ============================================================================ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EBLayers = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const BLEND_MODES = [
+    'blend', 'add', 'multiply', 'screen', 'overlay', 'lightest', 'darkest',
+    'difference', 'exclusion', 'hard_light', 'soft_light', 'dodge', 'burn'
+  ];
+  const MASKS = ['body', 'canvas'];
+
+  // Why `value` can not be the layer's `key`, or null when it can
+  const CHECKS = {
+    label: v => (typeof v === 'string' ? null : 'must be a string'),
+    order: v => (Number.isFinite(v) ? null : 'must be a number'),
+    opacity: v => (Number.isFinite(v) && v >= 0 && v <= 1 ? null : 'must be a number from 0 to 1'),
+    blend: v => (BLEND_MODES.includes(v) ? null : `must be one of ${BLEND_MODES.join('|')}`),
+    mask: v => (MASKS.includes(v) ? null : `must be one of ${MASKS.join('|')}`),
+    enabled: v => (typeof v === 'boolean' ? null : 'must be a boolean')
+  };
+
+  /* =============================
+     STACK
+     ============================= */
+  function createStack() {
+    const layers = new Map(); // id → layer, in the order they were added
+
+    function problemsOf(id, changes) {
+      return Object.entries(changes)
+        .filter(([key]) => key !== 'id')
+        .map(([key, value]) => {
+          if (!CHECKS[key]) return `${id}.${key} is not a layer setting`;
+          const problem = CHECKS[key](value);
+          return problem && `${id}.${key} ${problem}`;
+        })
+        .filter(Boolean);
+    }
+
+    // Adds (or replaces) a layer; throws on a bad definition. Without an
+    // order it goes on top of the stack.
+    function add({ id, draw, ...options }) {
+      if (!/^[\w-]{1,64}$/.test(id || '')) throw new Error(`layer id must be letters, digits, - and _ (got ${id})`);
+      if (typeof draw !== 'function') throw new Error(`layer "${id}": draw must be a function`);
+      const top = Math.max(0, ...[...layers.values()].map(l => l.order + 10));
+      const layer = { label: id, order: top, opacity: 1, blend: 'blend', mask: 'body', enabled: true, ...options };
+      const problems = problemsOf(id, options);
+      if (problems.length) throw new Error(`layer "${id}": ${problems.join('; ')}`);
+      layers.set(id, { id, ...layer, draw });
+      return describe(id);
+    }
+
+    function remove(id) {
+      return layers.delete(id);
+    }
+
+    // Changes some of a layer's settings; returns the problem, or null once applied
+    function set(id, changes = {}) {
+      const layer = layers.get(id);
+      if (!layer) return `unknown layer "${id}"`;
+      const problems = problemsOf(id, changes);
+      if (problems.length) return problems.join('; ');
+      Object.entries(changes).forEach(([key, value]) => { if (key !== 'id') layer[key] = value; });
+      return null;
+    }
+
+    // Every layer, lowest order first (ties keep the order they were added in)
+    function list() {
+      return [...layers.values()].sort((a, b) => a.order - b.order);
+    }
+
+    // Plain settings without draw: one layer by id, or all of them in stack order
+    function describe(id) {
+      const plain = ({ draw, ...settings }) => settings;
+      if (id !== undefined) return layers.has(id) ? plain(layers.get(id)) : null;
+      return list().map(plain);
+    }
+
+    return { add, remove, set, list, describe, get: id => layers.get(id) || null };
+  }
+
+  return { BLEND_MODES, MASKS, createStack };
+});
@@ -0,0 +1,173 @@
+/* ============================================================================
+   ENERGY BODIES — MESSAGE PROTOCOL
+   One definition of every WebSocket message, shared by server.js (require),
+   control.html and display.html (<script>, exposes window.EBProtocol).
+   Every message carries the protocol version in `v`.
+   ============================================================================ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EBProtocol = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const VERSION = 1;
+
+  const ROLES = ['control', 'display', 'observer'];
+  const ACTIONS = ['start', 'stop', 'reset'];
+  const ORIENTATIONS = ['landscape', 'portrait'];
+  const REPLAY_COMMANDS = ['start', 'pause', 'resume', 'stop', 'seek', 'speed'];
+  const REPLAY_STATES = ['idle', 'playing', 'paused', 'ended'];
+
+  /* =============================
+     FIELD TYPES
+     ============================= */
+  const isObject = x => x !== null && typeof x === 'object' && !Array.isArray(x);
+
+  const CHECKS = {
+    number: x => typeof x === 'number' && Number.isFinite(x),
+    boolean: x => typeof x === 'boolean',
+    string: x => typeof x === 'string',
+    object: isObject,
+    // { name: number } — emotion / region slider values
+    values: x => isObject(x) && Object.values(x).every(v => typeof v === 'number' && Number.isFinite(v)),
+    // one TUNE constant (null is allowed through 'scalar?')
+    scalar: x => (typeof x === 'number' && Number.isFinite(x)) || typeof x === 'boolean' || typeof x === 'string',
+    // [{ id, label, order, opacity, blend, mask, enabled }, ...] — a display's layer stack (js/eb-layers.js)
+    layers: x => Array.isArray(x) && x.every(l => isObject(l) && typeof l.id === 'string'),
+    // [[part, nx, ny, score], ...] — normalized keypoints sent to the control
+    keypoints: x => Array.isArray(x) && x.every(k =>
+      Array.isArray(k) && typeof k[0] === 'string' && k.slice(1, 4).every(n => typeof n === 'number'))
+  };
+
+  // A field spec is a type name ('number'), an optional type ('number?')
+  // or a list of allowed string values (optionally wrapped with opt()).
+  const opt = values => ({ oneOf: values, optional: true });
+
+  function checkField(spec, value) {
+    if (Array.isArray(spec)) spec = { oneOf: spec, optional: false };
+    if (typeof spec === 'string') {
+      const optional = spec.endsWith('?');
+      const type = optional ? spec.slice(0, -1) : spec;
+      if (value === undefined || value === null) return optional ? null : 'is required';
+      return CHECKS[type](value) ? null : `must be ${type}`;
+    }
+    if (value === undefined || value === null) return spec.optional ? null : 'is required';
+    return spec.oneOf.includes(value) ? null : `must be one of ${spec.oneOf.join('|')}`;
+  }
+
+  /* =============================
+     MESSAGES
+     from/to: which role sends it and which receives it ('server' = relay)
+     ============================= */
+  const MESSAGES = {
+    // Handshake and relay → client
+    hello: { from: 'any', to: 'server', fields: { role: ROLES } },
+    state: {
+      from: 'server', to: 'any',
+      fields: {
+        sliders: 'object?', tracking: 'boolean?', orientation: opt(ORIENTATIONS), echo: 'object?',
+        // tune: edits by TUNE path; tuning: the profile they start from, once a control loaded one
+        tune: 'object?', tuning: 'string?',
+        // layers: the display's last reported stack; layerEdits: the control's toggles by layer id
+        layers: 'layers?', layerEdits: 'object?'
+      }
+    },
+    error: { from: 'server', to: 'any', fields: { reason: 'string', ref: 'string?' } },
+    // Heartbeat report: this client's round trip plus display presence
+    link: {
+      from: 'server', to: 'control',
+      fields: { intervalMs: 'number', latencyMs: 'number?', displays: 'number', displayLatencyMs: 'number?' }
+    },
+    // Progress of a recorded-session replay in this installation
+    replayStatus: {
+      from: 'server', to: 'any',
+      fields: { state: REPLAY_STATES, name: 'string?', positionMs: 'number?', durationMs: 'number?', speed: 'number?' }
+    },
+    // The installation switched to a tuning profile: reset TUNE, then apply these edits by path
+    tuning: { from: 'server', to: 'any', fields: { name: 'string', tune: 'object' } },
+
+    // Control → relay
+    // start needs `name` (a file from GET /recordings), seek `atMs`, speed `speed`
+    replay: {
+      from: 'control', to: 'server',
+      fields: { command: REPLAY_COMMANDS, name: 'string?', atMs: 'number?', speed: 'number?' }
+    },
+    // A saved tuning profile (GET /tuning) or "defaults"
+    loadTuning: { from: 'control', to: 'server', fields: { name: 'string' } },
+
+    // Control → display
+    sliders: { from: 'control', to: 'display', fields: { emotion: 'values', region: 'values' } },
+    action: { from: 'control', to: 'display', fields: { action: ACTIONS } },
+    orientation: { from: 'control', to: 'display', fields: { value: ORIENTATIONS } },
+    print: { from: 'control', to: 'display', fields: {} },
+    startTracking: { from: 'control', to: 'display', fields: {} },
+    beginSession: { from: 'control', to: 'display', fields: {} },
+    // Live edit of one TUNE constant by dotted path (js/eb-tune-edit.js)
+    tune: { from: 'control', to: 'display', fields: { path: 'string', value: 'scalar?' } },
+    // Turn one of the display's layers on/off or fade it (js/eb-layers.js)
+    layer: { from: 'control', to: 'display', fields: { id: 'string', enabled: 'boolean?', opacity: 'number?' } },
+
+    // Display → control
+    pose: {
+      from: 'display', to: 'control',
+      fields: {
+        keypoints: 'keypoints?', vw: 'number?', vh: 'number?', t: 'number?', id: 'number?',
+        movementVelocity: 'number?', fastVel: 'number?', structure: 'number?',
+        balance: 'number?', postureLean: 'number?', avgY: 'number?'
+      }
+    },
+    echo: { from: 'display', to: 'control', fields: { emotion: 'values?', region: 'values?' } },
+    // The display's layer stack, lowest order first; sent on connect and after every change
+    layers: { from: 'display', to: 'control', fields: { layers: 'layers' } },
+    // The quality governor's level (js/eb-quality.js); sent on change and every few seconds
+    quality: {
+      from: 'display', to: 'control',
+      fields: {
+        level: 'number', name: 'string', levels: 'number', frameMs: 'number?',
+        targetFps: 'number', pinned: 'boolean?', adaptive: 'boolean?'
+      }
+    },
+    tracking: { from: 'display', to: 'control', fields: { on: 'boolean' } }
+  };
+
+  /* =============================
+     API
+     ============================= */
+  // Returns a list of problems; an empty list means the message is valid.
+  function validate(msg) {
+    if (!isObject(msg)) return ['message must be a JSON object'];
+    const def = MESSAGES[msg.type];
+    if (!def) return [`unknown type "${msg.type}"`];
+    if (msg.v === undefined) return [`missing protocol version "v" (expects v${VERSION})`];
+    if (msg.v !== VERSION) return [`protocol v${msg.v} not supported (expects v${VERSION})`];
+    const errors = [];
+    for (const [name, spec] of Object.entries(def.fields)) {
+      const problem = checkField(spec, msg[name]);
+      if (problem) errors.push(`${msg.type}.${name} ${problem}`);
+    }
+    return errors;
+  }
+
+  // Build a versioned message; throws on a typo'd type or bad field so the
+  // mistake shows up at the sender instead of being ignored downstream.
+  function make(type, fields = {}) {
+    const msg = { v: VERSION, type, ...fields };
+    const errors = validate(msg);
+    if (errors.length) throw new Error(`[PROTOCOL] ${errors.join('; ')}`);
+    return msg;
+  }
+
+  // Parse a raw frame; { msg, errors } with msg = null when it is not JSON.
+  function parse(text) {
+    let msg;
+    try { msg = JSON.parse(text); } catch { return { msg: null, errors: ['not JSON'] }; }
+    return { msg, errors: validate(msg) };
+  }
+
+  function route(type) {
+    const def = MESSAGES[type];
+    return def ? { from: def.from, to: def.to } : null;
+  }
+
+  return { VERSION, ROLES, ACTIONS, ORIENTATIONS, REPLAY_COMMANDS, REPLAY_STATES, MESSAGES, validate, make, parse, route };
+});
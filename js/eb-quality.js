@@ -0,0 +1,121 @@
+/* ============================================================================
+   ENERGY BODIES — QUALITY GOVERNOR
+   Holds the display near a target frame rate by trading detail for speed.
+   The sketch times the work of each frame and feeds it in:
+
+     const governor = EBQuality.createGovernor(TUNE.quality);
+     const t0 = performance.now(); … draw … ;
+     const changed = governor.sample(performance.now() - t0);  // level or null
+
+   A level scales the costly parts of a frame:
+
+     grid          × TUNE.visuals.marbles.gridSpacing (fewer, larger marbles)
+     strokes       × TUNE.visuals.anxiety.maxStrokes
+     layerDensity  pixel density of the layer buffers, relative to the canvas
+     pixelDensity  pixel density of the canvas and the scene
+
+   Level 0 is full quality. When the average frame costs more than the frame
+   budget (1000 / targetFps) for stepDownMs, the governor drops one level;
+   when it stays under headroom × budget for stepUpMs, it climbs back one.
+   A drop soon after a climb doubles the wait before the next climb, so the
+   display settles instead of bouncing between two levels.
+   pin(index) holds a level (display.html?quality=<name>). No p5 in here, so
+   Node scripts can require() it; the pages load it with <script> (exposes
+   window.EBQuality).
+   ============================================================================ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EBQuality = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const LEVELS = [
+    { name: 'full', grid: 1, strokes: 1, layerDensity: 1, pixelDensity: 1 },
+    { name: 'high', grid: 1.25, strokes: 0.7, layerDensity: 1, pixelDensity: 1 },
+    { name: 'medium', grid: 1.5, strokes: 0.5, layerDensity: 0.75, pixelDensity: 1 },
+    { name: 'low', grid: 2, strokes: 0.35, layerDensity: 0.75, pixelDensity: 0.75 },
+    { name: 'minimum', grid: 2.5, strokes: 0.25, layerDensity: 0.75, pixelDensity: 0.5 }
+  ];
+
+  const EMA = 0.1; // weight of the newest frame in the average cost
+  const MAX_CLIMB_WAIT_MS = 60000;
+
+  /* =============================
+     GOVERNOR
+     ============================= */
+  function createGovernor(options = {}) {
+    const opts = { targetFps: 60, adaptive: true, stepDownMs: 1000, stepUpMs: 4000, headroom: 0.6, ...options };
+    const levels = options.levels || LEVELS;
+    let index = 0;
+    let pinned = null;
+    let avgMs = null;
+    let overSince = null, underSince = null; // when the average crossed each threshold
+    let climbWaitMs = null, climbedAt = null; // back-off after a climb that did not hold
+
+    const budget = () => 1000 / opts.targetFps;
+
+    function go(next) {
+      index = Math.max(0, Math.min(levels.length - 1, next));
+      overSince = underSince = null;
+      avgMs = null; // the new level starts its own average
+      return level();
+    }
+
+    // One frame's cost in ms; returns the new level when it changed, else null
+    function sample(frameMs, now = Date.now()) {
+      if (!Number.isFinite(frameMs) || frameMs < 0) return null;
+      avgMs = avgMs === null ? frameMs : avgMs + (frameMs - avgMs) * EMA;
+      if (pinned !== null || !opts.adaptive) return null;
+
+      overSince = avgMs > budget() ? (overSince ?? now) : null;
+      underSince = avgMs < budget() * opts.headroom ? (underSince ?? now) : null;
+      const climbWait = climbWaitMs ?? opts.stepUpMs;
+      if (overSince !== null && now - overSince >= opts.stepDownMs && index < levels.length - 1) {
+        if (climbedAt !== null && now - climbedAt < climbWait + opts.stepDownMs * 2) climbWaitMs = Math.min(MAX_CLIMB_WAIT_MS, climbWait * 2);
+        climbedAt = null;
+        return go(index + 1);
+      }
+      if (underSince !== null && now - underSince >= climbWait && index > 0) {
+        climbedAt = now;
+        return go(index - 1);
+      }
+      return null;
+    }
+
+    function level() {
+      return { index, ...levels[index] };
+    }
+
+    // Holds a level (by index or name) until pin(null); returns it, or null if unknown
+    function pin(which) {
+      if (which === null || which === undefined) { pinned = null; return level(); }
+      const i = typeof which === 'number' ? which : levels.findIndex(l => l.name === which);
+      if (!levels[i]) return null;
+      pinned = i;
+      return go(i);
+    }
+
+    // Picks up edits to TUNE.quality (targetFps, adaptive, …)
+    function configure(changes = {}) {
+      Object.assign(opts, changes);
+      climbWaitMs = climbedAt = null;
+    }
+
+    // What the display reports to the control
+    function describe() {
+      return {
+        level: index,
+        name: levels[index].name,
+        levels: levels.length,
+        frameMs: avgMs === null ? null : Math.round(avgMs * 10) / 10,
+        targetFps: opts.targetFps,
+        pinned: pinned !== null,
+        adaptive: !!opts.adaptive
+      };
+    }
+
+    return { sample, level, pin, configure, describe };
+  }
+
+  return { LEVELS, createGovernor };
+});
@@ -0,0 +1,139 @@
+/* ============================================================================
+   ENERGY BODIES — SESSION AVERAGES
+   Running means of the pose metrics, emotions and body shape over a session,
+   for the print receipt. One SessionAverager per energy body: begin() when
+   the session starts, add() a sample per analysed frame, end() for the
+   averages. Emotions are averaged for every entry of js/eb-emotions.js (load
+   it first in the browser). Shared by both sketches (<script>, exposes
+   window.EBSession) and Node scripts (require).
+   ============================================================================ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./eb-emotions'));
+  else root.EBSession = factory(root.EBEmotions);
+})(typeof self !== 'undefined' ? self : this, function (EBEmotions) {
+  'use strict';
+
+  const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+  /* =============================
+     AVERAGING CLASSES
+     ============================= */
+  class OnlineMean {
+    constructor() { this.mean = 0; this.n = 0; }
+    add(x) {
+      if (!Number.isFinite(x)) return;
+      this.n++;
+      this.mean += (x - this.mean) / this.n;
+    }
+  }
+
+  class OnlineMeanArray {
+    constructor(len = 0) {
+      this.means = new Array(len).fill(0);
+      this.n = 0;
+    }
+    add(arr) {
+      if (!arr || !arr.length) return;
+      if (this.means.length !== arr.length) {
+        this.means = new Array(arr.length).fill(0);
+      }
+      this.n++;
+      for (let i = 0; i < arr.length; i++) {
+        const x = arr[i];
+        if (!Number.isFinite(x)) continue;
+        this.means[i] += (x - this.means[i]) / this.n;
+      }
+    }
+  }
+
+  /* =============================
+     SESSION AVERAGER
+     label tags the console lines (e.g. with the person id) when several
+     bodies average at once
+     ============================= */
+  class SessionAverager {
+    constructor({ label = '' } = {}) {
+      this.label = label;
+      this.reset();
+    }
+
+    reset() {
+      this.active = false;
+      this.startTs = 0;
+      this.lastTs = 0;
+      this.samples = 0;
+      this.structure = new OnlineMean();
+      this.balance = new OnlineMean();
+      this.posture = new OnlineMean();
+      this.velocity = new OnlineMean();
+      this.emotions = {};
+      for (const name of EBEmotions.names()) this.emotions[name] = new OnlineMean();
+      this.regionWidths = new OnlineMeanArray(6);
+      this.segmentProfile = new OnlineMeanArray(3);
+    }
+
+    begin() {
+      this.reset();
+      this.active = true;
+      this.startTs = now();
+      this.lastTs = this.startTs;
+      console.log(`[SESSION]${this.label ? ` ${this.label}:` : ''} Started averaging`);
+    }
+
+    add(sample) {
+      if (!this.active) return;
+
+      this.lastTs = now();
+
+      this.structure.add(sample.structure ?? 0);
+      this.balance.add(sample.balance ?? 0);
+      this.posture.add(sample.posture ?? 0);
+      this.velocity.add(sample.velocity ?? 0);
+
+      if (sample.emotions) {
+        for (const k in this.emotions) {
+          this.emotions[k].add(sample.emotions[k] ?? 0);
+        }
+      }
+
+      if (sample.regionWidths) {
+        this.regionWidths.add(sample.regionWidths);
+      }
+
+      if (sample.segmentProfile) {
+        this.segmentProfile.add(sample.segmentProfile);
+      }
+
+      this.samples++;
+    }
+
+    // Averages so far, without ending the session
+    summary() {
+      const out = {
+        durationMs: (this.active ? now() : this.lastTs) - this.startTs,
+        samples: this.samples,
+        structure: this.structure.mean,
+        balance: this.balance.mean,
+        posture: this.posture.mean,
+        velocity: this.velocity.mean,
+        emotions: {},
+        regionWidths: this.regionWidths.means.slice(),
+        segmentProfile: this.segmentProfile.means.slice()
+      };
+
+      for (const k in this.emotions) {
+        out.emotions[k] = this.emotions[k].mean;
+      }
+      return out;
+    }
+
+    end() {
+      const out = this.summary();
+      this.active = false;
+      console.log(`[SESSION]${this.label ? ` ${this.label}:` : ''} Ended:`, out);
+      return out;
+    }
+  }
+
+  return { OnlineMean, OnlineMeanArray, SessionAverager };
+});
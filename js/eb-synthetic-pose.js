@@ -0,0 +1,223 @@
+/* ============================================================================
+   ENERGY BODIES — SYNTHETIC POSE GENERATOR
+   Scripted motion profiles that emit PoseNet-shaped results
+   ([{ pose: { score, keypoints: [{ part, position, score }], <part>: {...} } }])
+   so the sketch's pose pipeline can be exercised without a camera or a person.
+   Shared by the display (<script>, exposes window.EBSyntheticPose) and Node
+   scripts (require).
+
+   Each profile loops over durationMs: it settles in a neutral stance first,
+   then performs its motion. `expects` says how each named emotion should move
+   between the settled part and the end of the loop ('rise' | 'fall' | 'flat');
+   checkTrend() compares recorded emotion values against it.
+   ============================================================================ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EBSyntheticPose = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /* =============================
+     SKELETON
+     Neutral standing pose, as fractions of the frame (person facing camera)
+     ============================= */
+  const STANCE = {
+    nose: [0.50, 0.22], leftEye: [0.52, 0.20], rightEye: [0.48, 0.20],
+    leftEar: [0.545, 0.215], rightEar: [0.455, 0.215],
+    leftShoulder: [0.58, 0.34], rightShoulder: [0.42, 0.34],
+    leftElbow: [0.60, 0.47], rightElbow: [0.40, 0.47],
+    leftWrist: [0.61, 0.60], rightWrist: [0.39, 0.60],
+    leftHip: [0.555, 0.60], rightHip: [0.445, 0.60],
+    leftKnee: [0.56, 0.76], rightKnee: [0.44, 0.76],
+    leftAnkle: [0.56, 0.92], rightAnkle: [0.44, 0.92]
+  };
+  const PARTS = Object.keys(STANCE);
+  const HEAD = ['nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar'];
+  const UPPER = [...HEAD, 'leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist'];
+  const ARMS_UP = { leftElbow: [0.62, 0.22], rightElbow: [0.38, 0.22], leftWrist: [0.64, 0.08], rightWrist: [0.36, 0.08] };
+
+  const JITTER = 0.0015;       // keypoint noise, fraction of the frame
+  const TREND_MIN = 0.3;       // slider units (0–5) a 'rise'/'fall' must move; 'flat' must stay within
+  const EARLY = [0.2, 0.3];    // settled window, fraction of the loop
+  const LATE = [0.75, 1];      // end-of-motion window
+
+  /* =============================
+     HELPERS
+     ============================= */
+  // 0 before t0, 1 after t1, linear in between
+  const ramp = (t, t0, t1) => Math.max(0, Math.min(1, (t - t0) / (t1 - t0)));
+  const lerp = (a, b, k) => a + (b - a) * k;
+
+  function rotateAbout(pts, parts, [cx, cy], angle, aspect) {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    parts.forEach(part => {
+      const dx = (pts[part][0] - cx) * aspect, dy = pts[part][1] - cy;
+      pts[part] = [cx + (dx * c - dy * s) / aspect, cy + dx * s + dy * c];
+    });
+  }
+
+  function shift(pts, parts, dx, dy) {
+    parts.forEach(part => { pts[part] = [pts[part][0] + dx, pts[part][1] + dy]; });
+  }
+
+  // Small seeded PRNG so a profile produces the same frames on every run
+  function mulberry32(seed) {
+    return function () {
+      seed |= 0; seed = seed + 0x6D2B79F5 | 0;
+      let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+  }
+
+  /* =============================
+     PROFILES
+     frame(t, pts, aspect) moves the stance points in place for time t (ms)
+     ============================= */
+  const PROFILES = {
+    still: {
+      description: 'Standing still; only keypoint jitter',
+      durationMs: 6000,
+      expects: { anxiety: 'flat', anger: 'flat', calm: 'flat' },
+      frame() { }
+    },
+    sway: {
+      description: 'Upper body rocks side to side, growing to about ±15°',
+      durationMs: 8000,
+      expects: { calm: 'fall' },
+      frame(t, pts, aspect) {
+        const hips = [(pts.leftHip[0] + pts.rightHip[0]) / 2, pts.leftHip[1]];
+        const angle = 0.26 * ramp(t, 2500, 6000) * Math.sin(2 * Math.PI * t / 1600);
+        rotateAbout(pts, UPPER, hips, angle, aspect);
+      }
+    },
+    burst: {
+      description: 'Still, then arms thrown overhead in sharp repeated bursts',
+      durationMs: 6000,
+      expects: { anger: 'rise' },
+      frame(t, pts) {
+        if (t < 3000) return;
+        const c = ((t - 3000) % 600) / 600;
+        const up = c < 0.1 ? c / 0.1 : c < 0.5 ? 1 : c < 0.6 ? 1 - (c - 0.5) / 0.1 : 0;
+        Object.entries(ARMS_UP).forEach(([part, [x, y]]) => {
+          pts[part] = [lerp(pts[part][0], x, up), lerp(pts[part][1], y, up)];
+        });
+      }
+    },
+    slump: {
+      description: 'Shoulders and head sink and the arms hang forward',
+      durationMs: 8000,
+      expects: { sadness: 'rise' },
+      frame(t, pts) {
+        const k = ramp(t, 2500, 6500);
+        shift(pts, UPPER, 0, 0.16 * k);
+        shift(pts, HEAD, 0, 0.05 * k);
+        shift(pts, ['leftWrist', 'rightWrist'], 0, -0.04 * k);
+      }
+    },
+    jump: {
+      description: 'Still, then the whole body hops twice a second',
+      durationMs: 6000,
+      expects: { anxiety: 'rise' },
+      frame(t, pts) {
+        if (t < 2500) return;
+        shift(pts, PARTS, 0, -0.15 * Math.abs(Math.sin(Math.PI * (t - 2500) / 500)));
+      }
+    }
+  };
+
+  /* =============================
+     FRAMES
+     ============================= */
+  // One PoseNet-shaped result set for time t (ms) of a profile
+  function frameAt(profile, t, { width = 640, height = 480, rand = Math.random } = {}) {
+    const pts = {};
+    PARTS.forEach(part => { pts[part] = STANCE[part].slice(); });
+    profile.frame(t % profile.durationMs, pts, width / height);
+
+    const pose = { score: 0, keypoints: [] };
+    PARTS.forEach(part => {
+      const score = 0.85 + 0.1 * rand();
+      const position = {
+        x: (pts[part][0] + (rand() - 0.5) * 2 * JITTER) * width,
+        y: (pts[part][1] + (rand() - 0.5) * 2 * JITTER) * height
+      };
+      pose.keypoints.push({ part, score, position });
+      pose[part] = { ...position, confidence: score };
+      pose.score += score / PARTS.length;
+    });
+    return [{ pose, skeleton: [] }];
+  }
+
+  /* =============================
+     GENERATOR
+     Stands in for PoseNet (on('pose')) and for the video (width/height)
+     ============================= */
+  function create(name, { width = 640, height = 480, fps = 30, seed = 1 } = {}) {
+    const profile = PROFILES[name];
+    if (!profile) throw new Error(`[SYNTH] unknown profile "${name}" (${Object.keys(PROFILES).join('|')})`);
+
+    const handlers = { pose: [], loop: [] };
+    const rand = mulberry32(seed);
+    let timer = null; let startedAt = 0; let lastLoop = 0;
+
+    const emit = (event, data) => handlers[event].forEach(fn => fn(data));
+
+    function tick() {
+      const elapsed = Date.now() - startedAt;
+      const loop = Math.floor(elapsed / profile.durationMs);
+      if (loop > lastLoop) { lastLoop = loop; emit('loop', loop); }
+      emit('pose', frameAt(profile, elapsed, { width, height, rand }));
+    }
+
+    return {
+      name, profile, width, height,
+      on(event, fn) { if (handlers[event]) handlers[event].push(fn); return this; },
+      start() {
+        if (timer) return this;
+        startedAt = Date.now(); lastLoop = 0;
+        timer = setInterval(tick, 1000 / fps);
+        console.log(`[SYNTH] ${name}: ${profile.description} (${profile.durationMs} ms loop)`);
+        return this;
+      },
+      stop() { clearInterval(timer); timer = null; return this; },
+      // Same controls as ml5's PoseNet loop, so the display treats both alike
+      pause() { return this.stop(); },
+      resume() { return this.start(); },
+      // Time within the current loop, for tagging samples
+      loopTime() { return (Date.now() - startedAt) % profile.durationMs; }
+    };
+  }
+
+  /* =============================
+     CHECK
+     samples: [{ t, emotions: { name: 0–5 } }] from one loop, t in ms
+     ============================= */
+  function checkTrend(name, samples) {
+    const profile = PROFILES[name];
+    const mean = (emotion, [from, to]) => {
+      const xs = samples
+        .filter(s => s.t >= from * profile.durationMs && s.t <= to * profile.durationMs)
+        .map(s => s.emotions[emotion]);
+      return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : NaN;
+    };
+
+    const results = Object.entries(profile.expects).map(([emotion, expect]) => {
+      const early = mean(emotion, EARLY), late = mean(emotion, LATE);
+      const delta = late - early;
+      const ok = expect === 'rise' ? delta >= TREND_MIN
+        : expect === 'fall' ? delta <= -TREND_MIN
+          : Math.abs(delta) < TREND_MIN;
+      return { emotion, expect, early, late, delta, ok };
+    });
+    return { profile: name, ok: results.every(r => r.ok), results };
+  }
+
+  function formatCheck({ profile, ok, results }) {
+    const lines = results.map(r =>
+      `  ${r.ok ? '✓' : '✗'} ${r.emotion} ${r.expect}: ${r.early.toFixed(2)} → ${r.late.toFixed(2)} (${r.delta >= 0 ? '+' : ''}${r.delta.toFixed(2)})`);
+    return [`[SYNTH] ${profile}: ${ok ? 'as expected' : 'NOT as expected'}`, ...lines].join('\n');
+  }
+
+  return { PARTS, PROFILES, frameAt, create, checkTrend, formatCheck, seededRandom: mulberry32 };
+});
@@ -0,0 +1,115 @@
+/* ============================================================================
+   ENERGY BODIES — PERSON TRACKER
+   PoseNet's multi-pose results come back in no particular order, so the same
+   person can be results[0] one frame and results[1] the next. The tracker
+   gives each person a persistent id across frames:
+
+     const tracker = EBTracker.create(TUNE.tracking);
+     tracker.update(results, now);   // sets result.id and result.pose.id
+
+   Poses are matched to tracks by torso centroid (shoulders + hips) and
+   shoulder width. Each track predicts where it is heading from its recent
+   velocity, so two people crossing keep their ids, and a track survives
+   maxMissedMs without a match so short occlusions do not hand out new ids.
+   Shared by the display (<script>, exposes window.EBTracker) and Node
+   scripts (require). Keypoints count by the same rule as in the analytics
+   (EBAnalytics.usable): load js/eb-analytics.js first in the browser.
+   ============================================================================ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./eb-analytics'));
+  else root.EBTracker = factory(root.EBAnalytics);
+})(typeof self !== 'undefined' ? self : this, function (EBAnalytics) {
+  'use strict';
+
+  const DEFAULTS = {
+    maxMissedMs: 1000,   // keep an unmatched track (occlusion) this long
+    maxDistance: 1.5,    // furthest match, in shoulder widths from the predicted centroid
+    widthWeight: 2.0,    // cost of a shoulder-width change (abs log ratio) against distance
+    velocityLerp: 0.5,   // smoothing of each track's velocity estimate
+    kpMinScore: 0.3      // keypoints below this are ignored, unless the pose filter is coasting them
+  };
+  const TORSO = ['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip'];
+
+  /* =============================
+     FEATURES
+     ============================= */
+  // { x, y, width } of a pose's torso, or null when too little of it is visible
+  function torsoOf(pose, kpMinScore) {
+    const at = {};
+    (pose?.keypoints || []).forEach(k => {
+      if (TORSO.includes(k.part) && EBAnalytics.usable(k, kpMinScore)) at[k.part] = k.position;
+    });
+    const pts = Object.values(at);
+    if (!at.leftShoulder || !at.rightShoulder || pts.length < 3) return null;
+    return {
+      x: pts.reduce((a, p) => a + p.x, 0) / pts.length,
+      y: pts.reduce((a, p) => a + p.y, 0) / pts.length,
+      width: Math.max(1, Math.hypot(at.leftShoulder.x - at.rightShoulder.x, at.leftShoulder.y - at.rightShoulder.y))
+    };
+  }
+
+  /* =============================
+     TRACKER
+     ============================= */
+  function create(options = {}) {
+    const o = { ...DEFAULTS, ...options };
+    let tracks = [];
+    let nextId = 1;
+
+    function cost(track, torso, now) {
+      const dt = now - track.seenAt;
+      const px = track.x + track.vx * dt, py = track.y + track.vy * dt;
+      const dist = Math.hypot(torso.x - px, torso.y - py) / track.width;
+      if (dist > o.maxDistance) return Infinity;
+      return dist + o.widthWeight * Math.abs(Math.log(torso.width / track.width));
+    }
+
+    function follow(track, torso, now) {
+      const dt = Math.max(1, now - track.seenAt);
+      const k = o.velocityLerp;
+      track.vx += ((torso.x - track.x) / dt - track.vx) * k;
+      track.vy += ((torso.y - track.y) / dt - track.vy) * k;
+      Object.assign(track, torso, { seenAt: now });
+    }
+
+    // Tags every result that shows a torso with the id of the person it belongs to
+    function update(results, now = Date.now()) {
+      const found = (results || [])
+        .map(result => ({ result, torso: torsoOf(result?.pose, o.kpMinScore) }))
+        .filter(d => d.torso);
+
+      // Cheapest pairs first; each track and each pose is used once
+      const pairs = [];
+      tracks.forEach(track => found.forEach(d => {
+        const c = cost(track, d.torso, now);
+        if (Number.isFinite(c)) pairs.push({ track, d, c });
+      }));
+      pairs.sort((a, b) => a.c - b.c);
+      const used = new Set();
+      pairs.forEach(({ track, d }) => {
+        if (used.has(track) || d.id) return;
+        used.add(track); d.id = track.id;
+        follow(track, d.torso, now);
+      });
+
+      found.forEach(d => {
+        if (d.id) return;
+        const track = { id: nextId++, ...d.torso, vx: 0, vy: 0, seenAt: now, since: now };
+        tracks.push(track); d.id = track.id;
+      });
+      tracks = tracks.filter(t => now - t.seenAt <= o.maxMissedMs);
+
+      found.forEach(({ result, id }) => { result.id = id; result.pose.id = id; });
+      return results;
+    }
+
+    return {
+      update,
+      tracks: () => tracks.map(({ id, x, y, width, seenAt, since }) => ({ id, x, y, width, seenAt, since })),
+      reset() { tracks = []; },
+      options: o
+    };
+  }
+
+  return { DEFAULTS, create, torsoOf };
+});
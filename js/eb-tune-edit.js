@@ -0,0 +1,108 @@
+/* ============================================================================
+   ENERGY BODIES — LIVE TUNE EDITS
+   Addresses every constant in a TUNE object by its dotted path
+   ('emotions.anxietyFromVel.inMax'):
+
+     const editor = EBTuneEdit.create(TUNE);   // remembers the shipped values
+     editor.set('velocity.fastEMA', 0.5);      // → null, or why it was refused
+
+   The control builds its tuning panel from editor.defaults and sends
+   { type: 'tune', path, value }; the display applies it with editor.set().
+   A tuning profile (server/tuning.js) is an overrides() map, loaded with
+   editor.apply(profile.tune) on top of the shipped values.
+   TUNE is edited in place, so everything holding it sees the new value. A
+   value must keep the type of the constant it replaces; constants that ship
+   as null (e.g. sadnessFromAvgY.inMax, "the canvas height") take a number or
+   null again. Shared by both pages (<script>, exposes window.EBTuneEdit) and
+   Node scripts (require).
+   ============================================================================ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EBTuneEdit = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const isObject = x => x !== null && typeof x === 'object' && !Array.isArray(x);
+  const own = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  // [{ path, value }] for every number / boolean / string / null constant, in TUNE order
+  function leaves(tune, prefix = '') {
+    const out = [];
+    for (const [key, value] of Object.entries(tune || {})) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (isObject(value)) out.push(...leaves(value, path));
+      else if (!Array.isArray(value)) out.push({ path, value });
+    }
+    return out;
+  }
+
+  // { parent, key } of a path, or null when it does not name a constant
+  function locate(tune, path) {
+    const keys = String(path).split('.');
+    let parent = tune;
+    for (const key of keys.slice(0, -1)) {
+      if (!isObject(parent) || !own(parent, key)) return null;
+      parent = parent[key];
+    }
+    const key = keys[keys.length - 1];
+    if (!isObject(parent) || !own(parent, key) || isObject(parent[key])) return null;
+    return { parent, key };
+  }
+
+  /* =============================
+     EDITOR
+     ============================= */
+  function create(tune) {
+    const defaults = new Map(leaves(tune).map(({ path, value }) => [path, value]));
+    const typeOf = value => (value === null ? 'number' : typeof value);
+
+    // Why value can not replace the constant at path, or null when it can
+    function check(path, value) {
+      if (!defaults.has(path) || !locate(tune, path)) return `unknown TUNE path "${path}"`;
+      const shipped = defaults.get(path);
+      if (value === null || value === undefined) return shipped === null ? null : `${path} can not be empty`;
+      if (typeof value === 'number' && !Number.isFinite(value)) return `${path} must be a finite number`;
+      const type = typeOf(shipped);
+      return typeof value === type ? null : `${path} must be a ${type}`;
+    }
+
+    function get(path) {
+      const at = locate(tune, path);
+      return at ? at.parent[at.key] : undefined;
+    }
+
+    // Returns the problem, or null once applied
+    function set(path, value) {
+      const problem = check(path, value);
+      if (problem) return problem;
+      const at = locate(tune, path);
+      at.parent[at.key] = value === undefined ? null : value;
+      return null;
+    }
+
+    // Paths whose value differs from the shipped one
+    function changed() {
+      return [...defaults.keys()].filter(path => get(path) !== defaults.get(path));
+    }
+
+    // { path: value } of every change, e.g. to save as a tuning profile
+    function overrides() {
+      return Object.fromEntries(changed().map(path => [path, get(path)]));
+    }
+
+    // Back to the shipped values
+    function reset() {
+      defaults.forEach((value, path) => set(path, value));
+    }
+
+    // Shipped values plus a profile's { path: value } edits; returns the refused ones' problems
+    function apply(edits = {}) {
+      reset();
+      return Object.entries(edits).map(([path, value]) => set(path, value)).filter(Boolean);
+    }
+
+    return { tune, defaults, check, get, set, changed, overrides, reset, apply };
+  }
+
+  return { leaves, create };
+});
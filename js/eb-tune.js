@@ -0,0 +1,90 @@
+/* ============================================================================
+   ENERGY BODIES — MASTER TUNING CONSTANTS
+   The display's TUNE object, shared by sketch.js (<script>, exposes
+   window.EBTune) and Node scripts (require) so both compute with the same
+   numbers. sadnessFromAvgY.inMax = null means "the canvas height";
+   marbles.seed = null keeps the noise seed p5 picked for this page.
+   calibration.* map deviations from a person's neutral stance: shoulder drop
+   in torso lengths, extra shoulder + hip tilt in shoulder widths, and lean
+   in radians.
+   ============================================================================ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EBTune = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  return {
+    velocity: {
+      kpMinScore: 0.5,
+      vNormInMin: 0.00015,
+      vNormInMax: 0.02,
+      vBlend: 0.5,
+      fastEMA: 0.6,
+      slowEMA: 0.05,
+      angerBurstMin: 0.05,
+      angerBurstMax: 1
+    },
+    emotions: {
+      blendPoseVsSlider: 0.60,
+      anxietyFromVel: { inMin: 0.3, inMax: 1.5, outMin: 0, outMax: 5 },
+      calmFromBalance: { inMin: 0.2, inMax: 50, outMin: 5, outMax: 0 },
+      sadnessFromAvgY: { inMin: 0, inMax: null, outMin: 0, outMax: 5 },
+      fearFromLean: { inMin: 0, inMax: 200, outMin: 0, outMax: 5 },
+      joyFromStructure: { inMin: 0, inMax: 1, outMin: 0, outMax: 5 }
+    },
+    poseFilter: { minCutoff: 1.0, beta: 0.007, dCutoff: 1.0, minScore: 0.5, coastMs: 250 }, // minScore = velocity.kpMinScore
+    inference: { targetFps: 30, worker: false }, // PoseNet loop cap; worker: estimate off the main thread
+    quality: { targetFps: 60, adaptive: true, stepDownMs: 1000, stepUpMs: 4000, headroom: 0.6 }, // js/eb-quality.js
+    calibration: {
+      durationMs: 3000,
+      minSamples: 20,
+      giveUpAfter: 5, // × durationMs without minSamples full torsos: stay on the absolute mappings
+      sadnessFromDrop: { inMin: 0, inMax: 0.5, outMin: 0, outMax: 5 },
+      calmFromTilt: { inMin: 0.02, inMax: 0.25, outMin: 5, outMax: 0 },
+      fearFromLean: { inMin: 0, inMax: 0.5, outMin: 0, outMax: 5 }
+    },
+    follow: {
+      enabledFreshMs: 300,
+      axis: 'both',
+      lerp: { tx: 0.20, ty: 0.20, rot: 0.18, sc: 0.12 }
+    },
+    tracking: {
+      maxMissedMs: 1000,
+      maxDistance: 1.5,
+      widthWeight: 2.0,
+      velocityLerp: 0.5,
+      kpMinScore: 0.3
+    },
+    coupling: {
+      armsHands: { wristSpreadMin: 2, wristSpreadMax: 5.0, lerp: 0.12 },
+      spine: { swayRange: 1.0, lerp: 0.20 },
+
+      head: { velMin: 0.00009, velMax: 0.008, lerp: 0.20 },
+      neck: { velMin: 0.0001, velMax: 0.01, lerp: 0.20 },
+
+      chest: { velMin: 0.00005, velMax: 0.010, reachMin: 0.7, reachMax: 2.0, lerp: 0.20 },
+      abdomen: { velMin: 0.00001, velMax: 0.002, torsoMin: 1.2, torsoMax: 2.2, lerp: 0.20 },
+      legsFeet: { velMin: 0.001, velMax: 0.02, ankleSpreadMin: 0.9, ankleSpreadMax: 3.0, lerp: 0.20 }
+    },
+    visuals: {
+      fear: { baseScaleFrom: 3.0, baseScaleTo: 0.6, freqFrom: 0.1, freqTo: 5.0, pulseAmp: 0.05 },
+      anxiety: {
+        spacingChaotic: { from: 40, to: 8 },
+        spacingCalm: { from: 50, to: 20 },
+        lineLenChaotic: { from: 4, to: 12 },
+        lineLenCalm: { from: 20, to: 100 },
+        jitterMax: 25,
+        irregularityMax: 0.4,
+        angleScaleChaotic: 0.02,
+        angleScaleCalm: 0.005,
+        curlMax: 50,
+        alphaMin: 50, alphaMax: 255,
+        minSpacingPx: 14,
+        maxStrokes: 9000
+      },
+      marbles: { gridSpacing: 18, alphaPerUnit: 70, seed: null },
+      skeleton: { smoothing: 0.35, minScore: 0.2, minHalfWidth: 6, widthScale: 0.3 }
+    }
+  };
+});
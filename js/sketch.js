@@ -1,7 +1,9 @@
 /* ============================================================================
    ENERGY BODIES — DISPLAY SKETCH
    Date: 2025-11-08
-   IMPORTANT: Load eb-init.js BEFORE this file!
+   IMPORTANT: Load eb-init.js, js/eb-emotions.js, js/eb-analytics.js,
+   js/eb-session.js, js/eb-tune-edit.js, js/eb-layers.js,
+   js/eb-gl-compositor.js and js/eb-quality.js BEFORE this file!
    ============================================================================ */
 
 // Verify eb-init.js loaded
@@ -31,6 +33,17 @@ const TUNE = {
     fearFromLean: { inMin: 0, inMax: 100, outMin: 0, outMax: 5 },
     joyFromStructure: { inMin: 0.25, inMax: 1.0, outMin: 0, outMax: 5 }
   },
+  poseFilter: { minCutoff: 1.0, beta: 0.007, dCutoff: 1.0, minScore: 0.5, coastMs: 250 }, // minScore = velocity.kpMinScore
+  inference: { targetFps: 30, worker: false }, // PoseNet loop cap; worker: estimate off the main thread
+  quality: { targetFps: 60, adaptive: true, stepDownMs: 1000, stepUpMs: 4000, headroom: 0.6 }, // js/eb-quality.js
+  calibration: {
+    durationMs: 3000,
+    minSamples: 20,
+    giveUpAfter: 5, // × durationMs without minSamples full torsos: stay on the absolute mappings
+    sadnessFromDrop: { inMin: 0, inMax: 0.5, outMin: 0, outMax: 5 },
+    calmFromTilt: { inMin: 0.02, inMax: 0.25, outMin: 5, outMax: 0 },
+    fearFromLean: { inMin: 0, inMax: 0.5, outMin: 0, outMax: 5 }
+  },
   follow: {
     enabledFreshMs: 300,
     axis: 'both',
@@ -61,9 +74,10 @@ const TUNE = {
       minSpacingPx: 14,
       maxStrokes: 6000
     },
-    marbles: { gridSpacing: 18, alphaPerUnit: 70 }
+    marbles: { gridSpacing: 18, alphaPerUnit: 70, seed: null } // seed null: p5's own noise seed
   }
 };
+const tuneEditor = EBTuneEdit.create(TUNE); // live edits from the control (applyTune)
 
 /* =============================
    1) RUNTIME STATE & CONSTANTS
@@ -75,14 +89,42 @@ let scene, orientationChannel;
 let video, poseNet, poses = [];
 let trackingStarted = false;
 
-let __prevKeypoints = null;
-let __prevByPart = new Map();
+let poseEngine; // js/eb-analytics.js, created in startSketch()
 
 let __lastPoseEmitAt = 0;
+let replayActive = false;          // a recorded session (server/replay.js) drives the pose
 const POSE_EMIT_MS = 80;
 
+// display.html?tuning=<name> starts from a tuning profile saved by server.js
+const TUNING_PROFILE = new URLSearchParams(location.search).get('tuning');
+let sketchStarted = false; // setup() fetches the tuning profile before startSketch()
+
 let segmentProfile = [0.0, 1.0, 0.0];
-let shapeMask, patternGraphics, originOffset, emotionGraphics;
+let shapeMask, originOffset;
+
+// Layer stack (js/eb-layers.js), lowest order first. Each layer draws into
+// its own buffer, composited with its opacity, blend mode and mask; add more
+// with addLayer(), toggle them from the control.
+const layerStack = EBLayers.createStack();
+layerStack.add({ id: 'outline', label: 'body outline', order: 0, mask: 'canvas', draw: (pg, c) => c.outline(pg) });
+layerStack.add({ id: 'marbles', label: 'emotion marbles', order: 10, draw: (pg, c) => drawEmotionLayers(pg, c.vals) });
+layerStack.add({ id: 'strokes', label: 'anxiety strokes', order: 20, draw: (pg, c) => drawStrokeLayers(pg, c.vals) });
+const layerBuffers = new Map(); // layer id → offscreen graphics, made on first use
+const layerCache = new Map();   // cache id → { key, value }: marble flow fields and tiles, see cached()
+
+// Layers composite on the GPU (js/eb-gl-compositor.js) where WebGL works;
+// ?render=2d, or a lost WebGL context, uses get() + mask() instead
+const RENDER_MODE = new URLSearchParams(location.search).get('render') === '2d' ? '2d' : 'gl';
+let glCompositor = null; // created in startSketch()
+
+// Quality governor (js/eb-quality.js): times every frame and lowers (or
+// restores) marble grid, stroke budget, layer resolution and pixel density
+// to hold TUNE.quality.targetFps. ?quality=<level> pins a level.
+const QUALITY_PIN = new URLSearchParams(location.search).get('quality');
+const QUALITY_REPORT_MS = 2000;
+let governor;
+let quality = EBQuality.LEVELS[0];
+let lastQualityReportAt = 0;
 
 let movementVelocity = 0;
 let smoothedStructure = 0;
@@ -95,20 +137,11 @@ let followPose = false, followAxis = 'both';
 let poseTx = 0, poseTy = 0, poseRot = 0, poseSc = 1, _poseSeenAt = 0;
 
 const regionNames = ['head', 'neck', 'armsHands', 'chest', 'abdomen', 'legsFeet'];
-const emotionNames = ['anxiety', 'sadness', 'joy', 'anger', 'fear', 'calm'];
+const emotionNames = EBEmotions.names(); // js/eb-emotions.js
 let regionSliders = {}, emotionSliders = {};
 let regionOffsets = {};
 for (const r of regionNames) regionOffsets[r] = { x: 0, y: 0 };
 
-const regionKeypoints = {
-  head: ['nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar'],
-  neck: ['leftShoulder', 'rightShoulder'],
-  chest: ['leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist'],
-  armsHands: ['leftWrist', 'rightWrist', 'leftElbow', 'rightElbow'],
-  abdomen: ['leftHip', 'rightHip'],
-  legsFeet: ['leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle']
-};
-
 const EDGES = [
   ['leftShoulder', 'rightShoulder'],
   ['leftHip', 'rightHip'],
@@ -131,118 +164,7 @@ let regionMaxWidths = {
 /* =============================
    2) AVERAGING CLASSES
    ============================= */
-class OnlineMean {
-  constructor() { this.mean = 0; this.n = 0; }
-  add(x) {
-    if (!Number.isFinite(x)) return;
-    this.n++;
-    this.mean += (x - this.mean) / this.n;
-  }
-}
-
-class OnlineMeanArray {
-  constructor(len = 0) {
-    this.means = new Array(len).fill(0);
-    this.n = 0;
-  }
-  add(arr) {
-    if (!arr || !arr.length) return;
-    if (this.means.length !== arr.length) {
-      this.means = new Array(arr.length).fill(0);
-    }
-    this.n++;
-    for (let i = 0; i < arr.length; i++) {
-      const x = arr[i];
-      if (!Number.isFinite(x)) continue;
-      this.means[i] += (x - this.means[i]) / this.n;
-    }
-  }
-}
-
-class SessionAverager {
-  constructor() {
-    this.reset();
-  }
-
-  reset() {
-    this.active = false;
-    this.startTs = 0;
-    this.lastTs = 0;
-    this.samples = 0;
-    this.structure = new OnlineMean();
-    this.balance = new OnlineMean();
-    this.posture = new OnlineMean();
-    this.velocity = new OnlineMean();
-    this.emotions = {
-      anxiety: new OnlineMean(),
-      sadness: new OnlineMean(),
-      joy: new OnlineMean(),
-      anger: new OnlineMean(),
-      fear: new OnlineMean(),
-      calm: new OnlineMean()
-    };
-    this.regionWidths = new OnlineMeanArray(6);
-    this.segmentProfile = new OnlineMeanArray(3);
-  }
-
-  begin() {
-    this.reset();
-    this.active = true;
-    this.startTs = performance.now();
-    this.lastTs = this.startTs;
-    console.log('[SESSION] Started averaging');
-  }
-
-  add(sample) {
-    if (!this.active) return;
-
-    const now = performance.now();
-    this.lastTs = now;
-
-    this.structure.add(sample.structure ?? 0);
-    this.balance.add(sample.balance ?? 0);
-    this.posture.add(sample.posture ?? 0);
-    this.velocity.add(sample.velocity ?? 0);
-
-    if (sample.emotions) {
-      for (const k in this.emotions) {
-        this.emotions[k].add(sample.emotions[k] ?? 0);
-      }
-    }
-
-    if (sample.regionWidths) {
-      this.regionWidths.add(sample.regionWidths);
-    }
-
-    if (sample.segmentProfile) {
-      this.segmentProfile.add(sample.segmentProfile);
-    }
-
-    this.samples++;
-  }
-
-  end() {
-    const out = {
-      durationMs: performance.now() - this.startTs,
-      samples: this.samples,
-      structure: this.structure.mean,
-      balance: this.balance.mean,
-      posture: this.posture.mean,
-      velocity: this.velocity.mean,
-      emotions: {},
-      regionWidths: this.regionWidths.means.slice(),
-      segmentProfile: this.segmentProfile.means.slice()
-    };
-
-    for (const k in this.emotions) {
-      out.emotions[k] = this.emotions[k].mean;
-    }
-
-    this.active = false;
-    console.log('[SESSION] Ended:', out);
-    return out;
-  }
-}
+const { SessionAverager } = window.EBSession; // js/eb-session.js
 
 // Global session instance
 window.__ebSession = null;
@@ -255,6 +177,7 @@ window.beginSession = function () {
     window.__ebSession = new SessionAverager();
   }
   window.__ebSession.begin();
+  poseEngine?.startCalibration(); // record this participant's neutral stance
 };
 
 window.onPrint = function () {
@@ -269,7 +192,86 @@ function clamp01(x) {
 /* =============================
    4) P5 SETUP / DRAW
    ============================= */
+
+// Pose source: display.html?source=<clip> runs PoseNet on a looping, muted
+// video file instead of the webcam; bare file names are looked up in media/.
+// ?source=synthetic:<profile> plays a scripted motion profile from
+// js/eb-synthetic-pose.js instead of running PoseNet at all.
+function poseSourceFromUrl() {
+  const source = new URLSearchParams(location.search).get('source');
+  if (!source || source === 'camera') return { kind: 'camera' };
+  if (source.startsWith('synthetic:')) {
+    return { kind: 'synthetic', profile: source.slice('synthetic:'.length) || 'still' };
+  }
+  return { kind: 'file', url: /[/:]/.test(source) ? source : `media/${source}` };
+}
+
+function createPoseVideo(source, constraints) {
+  if (source.kind === 'file') {
+    const clip = createVideo(source.url, () => {
+      clip.volume(0);
+      clip.loop();
+      console.log(`🎞️ Video file ready: ${source.url}`);
+    });
+    clip.elt.muted = true;
+    clip.elt.addEventListener('error', () => {
+      console.error(`❌ Could not load video file ${source.url}`);
+    });
+    return clip;
+  }
+
+  return createCapture(constraints, () => {
+    console.log('🎥 Webcam ready');
+  });
+}
+
+// The generator stands in for both the video (width/height) and PoseNet
+// ('pose' events). From the second loop on (the first is warm-up) each loop
+// logs whether the emotions moved as the profile expects.
+function createSyntheticSource(profileName) {
+  const synth = EBSyntheticPose.create(profileName, { width: 640, height: 480 });
+  let samples = [];
+
+  synth.on('pose', () => {
+    const emotions = {};
+    for (const n of emotionNames) emotions[n] = emotionSliders[n].value();
+    samples.push({ t: synth.loopTime(), emotions });
+  });
+
+  synth.on('loop', loop => {
+    if (loop > 1) {
+      console.log(EBSyntheticPose.formatCheck(EBSyntheticPose.checkTrend(profileName, samples)));
+    }
+    samples = [];
+  });
+
+  return synth;
+}
+// Not loadJSON() in preload(): p5 stays on "Loading..." for good if the profile is missing
 function setup() {
+  // p5 still runs draw() once, which returns until sketchStarted
+  noLoop();
+  loadStartupTuning().then(() => {
+    startSketch();
+    sketchStarted = true;
+    loop();
+  });
+}
+
+async function loadStartupTuning() {
+  if (!TUNING_PROFILE) return;
+  try {
+    const res = await fetch(`/tuning/${encodeURIComponent(TUNING_PROFILE)}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const profile = await res.json();
+    // Before PoseNet and the analytics engine copy their TUNE options
+    applyTuneProfile(profile.tune, profile.name);
+  } catch (err) {
+    console.warn(`[TUNE] no tuning profile "${TUNING_PROFILE}" (${err.message}), starting from the shipped TUNE`);
+  }
+}
+
+function startSketch() {
   createCanvas(windowWidth, windowHeight);
   pixelDensity(1);
   colorMode(RGB);
@@ -279,17 +281,24 @@ function setup() {
   strokeWeight(2);
 
   scene = createGraphics(width, height);
-  patternGraphics = createGraphics(width, height);
   shapeMask = createGraphics(width, height);
-  emotionGraphics = createGraphics(width, height);
 
-  [scene, patternGraphics, shapeMask, emotionGraphics].forEach(g => {
+  [scene, shapeMask].forEach(g => {
     g.colorMode(RGB);
     g.noFill();
     g.stroke(255);
     g.strokeWeight(2);
   });
 
+  if (RENDER_MODE === 'gl') glCompositor = EBGLCompositor.create();
+  console.log(`[RENDER] ${glCompositor ? 'WebGL' : '2D'} layer compositing`);
+
+  governor = EBQuality.createGovernor(TUNE.quality);
+  if (QUALITY_PIN && !governor.pin(QUALITY_PIN)) {
+    console.warn(`[QUALITY] no level "${QUALITY_PIN}"`);
+  }
+  applyQuality(governor.level());
+
   originOffset = createVector(width / 2, height / 2);
 
   // Initialize session
@@ -336,38 +345,37 @@ function setup() {
     }
   };
 
-  video = createCapture(constraints, () => {
-    console.log('🎥 Webcam ready');
-  });
-  video.size(640, 480);
-  video.elt.playsInline = true;
-  video.hide();
+  const source = poseSourceFromUrl();
+  if (source.kind === 'synthetic') {
+    video = poseNet = createSyntheticSource(source.profile);
+  } else {
+    video = createPoseVideo(source, constraints);
+    video.size(640, 480);
+    video.elt.playsInline = true;
+    video.hide();
+
+    // Setup PoseNet
+    poseNet = ml5.poseNet(video, { detectionType: 'single', filter: TUNE.poseFilter, ...TUNE.inference }, () => {
+      console.log('🧠 PoseNet model loaded');
+    });
+    // Inference only runs while tracking (startTrackingImpl/stopTrackingImpl)
+    poseNet.pause?.();
+    window.addEventListener('beforeunload', () => poseNet.dispose?.());
+  }
 
-  // Setup PoseNet
-  poseNet = ml5.poseNet(video, { detectionType: 'single' }, () => {
-    console.log('🧠 PoseNet model loaded');
+  // Pose analytics engine (own TUNE, this sketch's frame and canvas)
+  poseEngine = EBAnalytics.createEngine(TUNE, {
+    width: () => video?.width || 640,
+    height: () => video?.height || 480,
+    canvasHeight: () => height,
+    spineMax: () => regionMaxWidths.spine || 100,
+    now: () => millis()
   });
 
   // 🔹 Pose callback stays INSIDE the same function
   poseNet.on('pose', results => {
-    if (!trackingStarted) return;
-    poses = results;
-    const pose = results[0]?.pose;
-    if (!pose) return;
-
-    updatePoseFactors(pose);
-    updatePoseTransform(pose);
-    coupleRegionsToPose(pose);
-    updatePoseAnchor(pose);
-
-    maybeEchoState();
-    emitPoseMetrics();
-
-    const now = millis();
-    if (now - __lastPoseEmitAt >= POSE_EMIT_MS) {
-      __lastPoseEmitAt = now;
-      emitPoseToControl(pose);
-    }
+    if (replayActive) return; // a recorded session is driving the body
+    handlePoseResults(results);
   });
 
   // 🔹 Orientation listener also inside
@@ -382,10 +390,26 @@ function setup() {
   // 🔹 Expose hooks on window inside here too
   window.applySliders = applySliders;
   window.resetAll = resetAll;
-} // ← single, final closing brace for setup()
+  window.injectPose = injectPose;
+  window.setReplayActive = setReplayActive;
+  window.applyTune = applyTune;
+  window.applyTuneProfile = applyTuneProfile;
+  window.applyLayer = applyLayer;
+  window.addLayer = addLayer;
+  reportLayers();
+
+  // No one to press Start in front of a synthetic source
+  if (source.kind === 'synthetic') {
+    startTrackingImpl();
+    poseNet.start();
+  }
+} // ← single, final closing brace for startSketch()
 
 
 function draw() {
+  if (!sketchStarted) return;
+  const frameStart = performance.now();
+
   fill(255);
   noStroke();
   textSize(14);
@@ -408,25 +432,12 @@ function draw() {
   };
 
   scene.clear();
-  patternGraphics.clear();
-  emotionGraphics.clear();
   shapeMask.clear();
 
   const vals = {};
   for (let n of emotionNames) vals[n] = emotionSliders[n].value();
 
-  const fearAmt = vals.fear / 5;
-  const sadnessAmt = vals.sadness / 5;
-  const joyAmt = vals.joy / 5;
-  const angerAmt = vals.anger / 5;
-  const anxietyVal = vals.anxiety;
-  const calmAmt = vals.calm / 5;
-
-  const FV = TUNE.visuals.fear;
-  const baseScale = lerp(FV.baseScaleFrom, FV.baseScaleTo, fearAmt);
-  const fearFreq = lerp(FV.freqFrom, FV.freqTo, fearAmt);
-  const pulse = FV.pulseAmp * Math.sin(frameCount * fearFreq);
-  const fearScale = baseScale + pulse;
+  const fearScale = bodyScale(vals);
 
   let baseRegionSpacings = regionNames.map((region, i) => {
     let base = [30, 20, 30, 15, 20, 50][i] * K;
@@ -440,18 +451,19 @@ function draw() {
   const bodyHeightScale = maxBodyHeight / totalBaseHeight;
   const regionSpacings = baseRegionSpacings.map(s => s * bodyHeightScale);
 
-  drawBodyShape(regionSpacings, fearScale);
-  drawEmotionLayers(emotionGraphics, joyAmt, sadnessAmt, angerAmt);
-  drawAnxietyPattern(patternGraphics, anxietyVal, calmAmt);
-
-  const maskImage = shapeMask.get();
-  const emotionImage = emotionGraphics.get();
-  const patternImage = patternGraphics.get();
+  const outline = drawBodyShape(regionSpacings, fearScale);
 
-  emotionImage.mask(maskImage);
-  patternImage.mask(maskImage);
-  scene.image(emotionImage, 0, 0);
-  scene.image(patternImage, 0, 0);
+  if (glCompositor && !glCompositor.ok()) {
+    console.warn('[RENDER] WebGL lost, back to 2D layer compositing');
+    glCompositor = null;
+  }
+  if (glCompositor) {
+    glCompositor.begin(scene.elt.width, scene.elt.height);
+    compositeLayers({ vals, fearScale, outline }, glCompositor);
+    scene.drawingContext.drawImage(glCompositor.end(), 0, 0, width, height);
+  } else {
+    compositeLayers({ vals, fearScale, outline });
+  }
 
   blitSceneTranslateOnly(scene);
 
@@ -461,6 +473,8 @@ function draw() {
   textSize(14);
   text(`[${displayOrientation}]`, 12, 60);
   pop();
+
+  trackQuality(performance.now() - frameStart);
 }
 
 /* =============================
@@ -471,11 +485,13 @@ function startTrackingImpl() {
 
   trackingStarted = true;
   window.__ebTrackingStarted = true;
+  if (!replayActive) poseNet?.resume?.();
 
   // Start the session when tracking starts
   if (window.__ebSession && window.__ebSessionReady) {
     if (!window.__ebSession.active) {
       window.__ebSession.begin();
+      poseEngine?.startCalibration();
     }
   }
 
@@ -489,6 +505,7 @@ function stopTrackingImpl() {
 
   trackingStarted = false;
   window.__ebTrackingStarted = false;
+  poseNet?.pause?.();
 
   // End the session when tracking stops
   if (window.__ebSession && window.__ebSession.active) {
@@ -516,7 +533,7 @@ function generateReceiptHTML(imageDataURL, sessionData) {
     const barWidth = (val / 5) * 100;
     emotionRows += `
       <tr>
-        <td class="label">${name.charAt(0).toUpperCase() + name.slice(1)}</td>
+        <td class="label">${EBEmotions.get(name)?.label ?? name}</td>
         <td class="value">${fmt(val)}</td>
         <td class="bar">
           <div class="bar-fill" style="width: ${barWidth}%"></div>
@@ -783,251 +800,39 @@ window.__ebStopTrackingImpl = stopTrackingImpl;
 window.__ebTrackingReady = true;
 
 /* =============================
-   6) POSE → EMOTION FACTORS
+   6) POSE ANALYTICS
+   Pose → emotions/regions/metrics runs in js/eb-analytics.js; the sketch
+   keeps the results in its slider mirrors and metric globals.
    ============================= */
-function updatePoseFactors(pose) {
+function analysePose(pose) {
   if (!pose || !pose.keypoints) return;
 
-  const kp = pose.keypoints.filter(k => k.score > TUNE.velocity.kpMinScore);
-  if (!kp.length) return;
-
-  // Calculate velocity
-  let velAvg = 0;
-  if (__prevKeypoints) {
-    const diag = Math.hypot(video?.width || 640, video?.height || 480) || 1;
-    let sum = 0, n = 0;
-    for (const k of kp) {
-      const prev = __prevKeypoints.find(p => p.part === k.part);
-      if (!prev) continue;
-      const dx = (k.position.x - prev.position.x) / diag;
-      const dy = (k.position.y - prev.position.y) / diag;
-      sum += Math.hypot(dx, dy);
-      n++;
-    }
-    if (n > 0) velAvg = sum / n;
-  }
-  __prevKeypoints = kp.map(k => ({
-    part: k.part,
-    position: { x: k.position.x, y: k.position.y }
-  }));
-
-  const vNorm = clamp01(map(velAvg, TUNE.velocity.vNormInMin, TUNE.velocity.vNormInMax, 0, 1));
-  movementVelocity = lerp(movementVelocity, vNorm, TUNE.velocity.vBlend);
-  fastVel = lerp(fastVel, vNorm, TUNE.velocity.fastEMA);
-  slowVel = lerp(slowVel, vNorm, TUNE.velocity.slowEMA);
-
-  const burst = Math.max(0, fastVel - slowVel);
-  const poseAnger = clamp01(map(burst, TUNE.velocity.angerBurstMin, TUNE.velocity.angerBurstMax, 0, 1)) * 5;
-
-  // Calculate structure
-  const Ls = pose.leftShoulder;
-  const Rs = pose.rightShoulder;
-  const Lw = pose.leftWrist;
-  const Rw = pose.rightWrist;
-
-  let structure = 0;
-  if (Ls && Rs && Lw && Rw) {
-    const span = dist(Ls.x, Ls.y, Rs.x, Rs.y);
-    const lw = dist(Ls.x, Ls.y, Lw.x, Lw.y) / span;
-    const rw = dist(Rs.x, Rs.y, Rw.x, Rw.y) / span;
-    structure = clamp01(map((lw + rw) * 0.5, 0.7, 2.0, 0, 1));
-  }
-  smoothedStructure = lerp(smoothedStructure, structure, 0.15);
-
-  // Balance
-  const shoulderDiff = Math.abs(Ls?.y - Rs?.y);
-  const hipDiff = Math.abs(pose.leftHip?.y - pose.rightHip?.y);
-  smoothedBalance = lerp(smoothedBalance, (shoulderDiff + hipDiff), 0.15);
-
-  // Posture lean
-  let lean = 0;
-  if (Ls && Rs && pose.leftHip && pose.rightHip) {
-    const sx = (Ls.x + Rs.x) / 2;
-    const sy = (Ls.y + Rs.y) / 2;
-    const hx = (pose.leftHip.x + pose.rightHip.x) / 2;
-    const hy = (pose.leftHip.y + pose.rightHip.y) / 2;
-    const ang = Math.atan2(hy - sy, hx - sx);
-    lean = clamp01(map(Math.abs(ang), 0.0, Math.PI / 6, 0, 1));
-  }
-  smoothedPostureLean = lerp(smoothedPostureLean, lean, 0.15);
-
-  // Average Y position
-  const avgY = (pose.leftShoulder.y + pose.rightShoulder.y) / 2;
-  smoothedAvgY = lerp(smoothedAvgY, avgY, 0.1);
-
-  // Map to emotions
-  const E = TUNE.emotions;
-  if (E.sadnessFromAvgY.inMax === null) E.sadnessFromAvgY.inMax = height;
-
-  let poseAnxiety = constrain(
-    map(movementVelocity, E.anxietyFromVel.inMin, E.anxietyFromVel.inMax,
-      E.anxietyFromVel.outMin, E.anxietyFromVel.outMax), 0, 5
-  );
-  let poseCalm = constrain(
-    map(smoothedBalance, E.calmFromBalance.inMin, E.calmFromBalance.inMax,
-      E.calmFromBalance.outMin, E.calmFromBalance.outMax), 0, 5
-  );
-  let poseSadness = constrain(
-    map(smoothedAvgY, E.sadnessFromAvgY.inMin, E.sadnessFromAvgY.inMax,
-      E.sadnessFromAvgY.outMin, E.sadnessFromAvgY.outMax), 0, 5
-  );
-  let poseFear = constrain(
-    map(smoothedPostureLean, E.fearFromLean.inMin, E.fearFromLean.inMax,
-      E.fearFromLean.outMin, E.fearFromLean.outMax), 0, 5
-  );
-  let poseJoy = constrain(
-    map(smoothedStructure, E.joyFromStructure.inMin, E.joyFromStructure.inMax,
-      E.joyFromStructure.outMin, E.joyFromStructure.outMax), 0, 5
-  );
-
-  const BL = E.blendPoseVsSlider;
-  const blend = (p, s) => lerp(s, p, BL);
-
-  emotionSliders.anxiety.value(blend(poseAnxiety, emotionSliders.anxiety.value()));
-  emotionSliders.calm.value(blend(poseCalm, emotionSliders.calm.value()));
-  emotionSliders.sadness.value(blend(poseSadness, emotionSliders.sadness.value()));
-  emotionSliders.fear.value(blend(poseFear, emotionSliders.fear.value()));
-  emotionSliders.joy.value(blend(poseJoy, emotionSliders.joy.value()));
-  emotionSliders.anger.value(blend(poseAnger, emotionSliders.anger.value()));
+  const current = { emotion: {}, region: {} };
+  for (const n of emotionNames) current.emotion[n] = emotionSliders[n].value();
+  for (const n of [...regionNames, 'spine']) current.region[n] = regionSliders[n].value();
+
+  const { emotions, regions, metrics } = poseEngine.update(pose.keypoints, current);
+  for (const n of emotionNames) emotionSliders[n].value(emotions[n]);
+  for (const n of [...regionNames, 'spine']) regionSliders[n].value(regions[n]);
+
+  movementVelocity = metrics.movementVelocity;
+  fastVel = metrics.fastVel;
+  slowVel = metrics.slowVel;
+  smoothedStructure = metrics.structure;
+  smoothedBalance = metrics.balance;
+  smoothedPostureLean = metrics.postureLean;
+  smoothedAvgY = metrics.avgY;
 }
 
 /* =============================
-   7) REGION COUPLING
-   ============================= */
-function regionVelocity(pose, parts) {
-  const diag = Math.hypot(video?.width || 640, video?.height || 480) || 1;
-  let sum = 0, n = 0;
-
-  for (const name of parts) {
-    const k = pose.keypoints.find(p => p.part === name && p.score > TUNE.velocity.kpMinScore);
-    if (!k) continue;
-
-    const prev = __prevByPart.get(name);
-    if (prev) {
-      const dx = (k.position.x - prev.x) / diag;
-      const dy = (k.position.y - prev.y) / diag;
-      sum += Math.hypot(dx, dy);
-      n++;
-    }
-    __prevByPart.set(name, { x: k.position.x, y: k.position.y });
-  }
-
-  return n > 0 ? (sum / n) : 0;
-}
-
-function coupleRegionsToPose(pose) {
-  if (!pose || !pose.keypoints) return;
-
-  const C = TUNE.coupling;
-  const get = part => {
-    const k = pose.keypoints.find(p => p.part === part && p.score > TUNE.velocity.kpMinScore);
-    return k ? k.position : null;
-  };
-
-  const ls = get('leftShoulder');
-  const rs = get('rightShoulder');
-  const lh = get('leftHip');
-  const rh = get('rightHip');
-  const lw = get('leftWrist');
-  const rw = get('rightWrist');
-  const la = get('leftAnkle');
-  const ra = get('rightAnkle');
-
-  // Head
-  {
-    const v = regionVelocity(pose, regionKeypoints.head);
-    const val = constrain(map(v, C.head.velMin, C.head.velMax, 0, 5), 0, 5);
-    regionSliders.head.value(lerp(regionSliders.head.value(), val, C.head.lerp));
-  }
-
-  // Neck
-  {
-    const v = regionVelocity(pose, regionKeypoints.neck);
-    const val = constrain(map(v, C.neck.velMin, C.neck.velMax, 0, 5), 0, 5);
-    regionSliders.neck.value(lerp(regionSliders.neck.value(), val, C.neck.lerp));
-  }
-
-  // Arms & Hands
-  if (lw && rw && ls && rs) {
-    const span = dist(ls.x, ls.y, rs.x, rs.y);
-    const wristSpread = dist(lw.x, lw.y, rw.x, rw.y) / Math.max(span, 1e-6);
-    const base = constrain(
-      map(wristSpread, C.armsHands.wristSpreadMin, C.armsHands.wristSpreadMax, 0, 5), 0, 5
-    );
-    const v = regionVelocity(pose, regionKeypoints.armsHands);
-    const boost = constrain(map(v, C.head.velMin, C.chest.velMax, 0, 5), 0, 5) * 0.5;
-    const armsVal = constrain(base + boost, 0, 5);
-    regionSliders.armsHands.value(lerp(regionSliders.armsHands.value(), armsVal, C.armsHands.lerp));
-  }
-
-  // Chest
-  if (ls && rs) {
-    const span = dist(ls.x, ls.y, rs.x, rs.y);
-    let openness = 0;
-    if (lw && rw) {
-      const lwR = dist(ls.x, ls.y, lw.x, lw.y) / span;
-      const rwR = dist(rs.x, rs.y, rw.x, rw.y) / span;
-      openness = (lwR + rwR) * 0.5;
-    }
-    const openVal = constrain(map(openness, C.chest.reachMin, C.chest.reachMax, 0, 5), 0, 5);
-    const v = regionVelocity(pose, regionKeypoints.chest);
-    const vVal = constrain(map(v, C.chest.velMin, C.chest.velMax, 0, 5), 0, 5);
-    const chestVal = constrain(0.6 * openVal + 0.4 * vVal, 0, 5);
-    regionSliders.chest.value(lerp(regionSliders.chest.value(), chestVal, C.chest.lerp));
-  }
-
-  // Abdomen
-  if (ls && rs && lh && rh) {
-    const span = dist(ls.x, ls.y, rs.x, rs.y);
-    const scx = (ls.x + rs.x) / 2;
-    const scy = (ls.y + rs.y) / 2;
-    const hcx = (lh.x + rh.x) / 2;
-    const hcy = (lh.y + rh.y) / 2;
-    const torsoLen = dist(scx, scy, hcx, hcy) / Math.max(span, 1e-6);
-    const torsoVal = 5 - constrain(map(torsoLen, C.abdomen.torsoMin, C.abdomen.torsoMax, 0, 5), 0, 5);
-    const v = regionVelocity(pose, regionKeypoints.abdomen);
-    const vVal = constrain(map(v, C.abdomen.velMin, C.abdomen.velMax, 0, 5), 0, 5);
-    const abdVal = constrain(0.6 * torsoVal + 0.4 * vVal, 0, 5);
-    regionSliders.abdomen.value(lerp(regionSliders.abdomen.value(), abdVal, C.abdomen.lerp));
-  }
-
-  // Legs & Feet
-  if (la && ra && lh && rh) {
-    const hipSpan = dist(lh.x, lh.y, rh.x, rh.y);
-    const stepW = dist(la.x, la.y, ra.x, ra.y) / Math.max(hipSpan, 1e-6);
-    const spreadVal = constrain(
-      map(stepW, C.legsFeet.ankleSpreadMin, C.legsFeet.ankleSpreadMax, 0, 5), 0, 5
-    );
-    const v = regionVelocity(pose, regionKeypoints.legsFeet);
-    const vVal = constrain(map(v, C.legsFeet.velMin, C.legsFeet.velMax, 0, 5), 0, 5);
-    const legsVal = constrain(0.5 * spreadVal + 0.5 * vVal, 0, 5);
-    regionSliders.legsFeet.value(lerp(regionSliders.legsFeet.value(), legsVal, C.legsFeet.lerp));
-  }
-
-  // Spine
-  if (ls && rs) {
-    const span = dist(ls.x, ls.y, rs.x, rs.y);
-    const spineSway = ((ls.x + rs.x) * 0.5 - (video?.width || 640) / 2) / Math.max(span, 1e-6);
-    const spineVal = map(
-      spineSway,
-      -TUNE.coupling.spine.swayRange,
-      TUNE.coupling.spine.swayRange,
-      0,
-      regionMaxWidths.spine || 100
-    );
-    regionSliders['spine'].value(lerp(regionSliders['spine'].value(), spineVal, TUNE.coupling.spine.lerp));
-  }
-}
-
-/* =============================
-   8) POSE TRANSFORM & ANCHOR
+   7) POSE TRANSFORM & ANCHOR
    ============================= */
 function updatePoseTransform(pose) {
   if (!pose || !pose.keypoints) return;
 
   const get = part => {
     const k = pose.keypoints.find(p => p.part === part);
-    return (k && k.score > TUNE.velocity.kpMinScore) ? k.position : null;
+    return (k && EBAnalytics.usable(k, TUNE.velocity.kpMinScore)) ? k.position : null;
   };
 
   const ls = get('leftShoulder');
@@ -1045,7 +850,8 @@ function updatePoseTransform(pose) {
   const hy = (lh.y + rh.y) / 2;
   const ang = Math.atan2(hy - sy, hx - sx) - Math.PI / 2;
   const shoulderW = Math.hypot(ls.x - rs.x, ls.y - rs.y);
-  const baseline = 220;
+  // neutral shoulder width once calibrated
+  const baseline = poseEngine?.calibration().baseline?.shoulderWidth || 220;
   const s = constrain(shoulderW / baseline, 0.6, 1.8);
 
   const L = TUNE.follow.lerp;
@@ -1061,7 +867,7 @@ function updatePoseAnchor(pose) {
 
   const get = part => {
     const k = pose.keypoints.find(p => p.part === part);
-    return (k && k.score > TUNE.velocity.kpMinScore) ? k.position : null;
+    return (k && EBAnalytics.usable(k, TUNE.velocity.kpMinScore)) ? k.position : null;
   };
 
   const ls = get('leftShoulder');
@@ -1079,7 +885,7 @@ function updatePoseAnchor(pose) {
 }
 
 /* =============================
-   9) CONTROL PANEL COMMUNICATION
+   8) CONTROL PANEL COMMUNICATION
    ============================= */
 function emitPoseToControl(pose) {
   if (!window.EnergyBodiesDisplay || !pose?.keypoints?.length) return;
@@ -1101,6 +907,53 @@ function emitPoseToControl(pose) {
   });
 }
 
+// One PoseNet result set through the pose pipeline (camera or replay)
+function handlePoseResults(results) {
+  if (!trackingStarted) return;
+  poses = results;
+  const pose = results[0]?.pose;
+  if (!pose) return;
+
+  updatePoseTransform(pose);
+  analysePose(pose);
+  updatePoseAnchor(pose);
+
+  maybeEchoState();
+  emitPoseMetrics();
+
+  const now = millis();
+  if (now - __lastPoseEmitAt >= POSE_EMIT_MS) {
+    __lastPoseEmitAt = now;
+    emitPoseToControl(pose);
+  }
+}
+
+// Replay: rebuild a PoseNet-shaped pose from the normalized [part, nx, ny, score]
+// keypoints emitPoseToControl sends, scaled to this display's video
+function injectPose(keypoints) {
+  const vw = video?.width || 640;
+  const vh = video?.height || 480;
+  const pose = { score: 0, keypoints: [] };
+  keypoints.forEach(([part, nx, ny, score]) => {
+    const position = { x: nx * vw, y: ny * vh };
+    pose.keypoints.push({ part, score, position });
+    pose[part] = { ...position, confidence: score };
+    pose.score += score / keypoints.length;
+  });
+  handlePoseResults([{ pose, skeleton: [] }]);
+}
+
+function setReplayActive(on) {
+  if (replayActive === on) return;
+  replayActive = on;
+  if (on) {
+    poseNet?.pause?.();
+  } else if (trackingStarted) {
+    poseNet?.resume?.();
+  }
+  console.log(`[REPLAY] ${on ? 'ON, camera ignored' : 'OFF, camera resumed'}`);
+}
+
 let __lastEmitMs = 0;
 function emitPoseMetrics() {
   // Add to session if active
@@ -1154,7 +1007,7 @@ function maybeEchoState() {
 }
 
 /* =============================
-   10) DRAWING FUNCTIONS
+   9) DRAWING FUNCTIONS
    ============================= */
 function blitSceneTranslateOnly(sceneGfx) {
   clear();
@@ -1255,30 +1108,153 @@ function drawBodyShape(regionSpacings, fearScale) {
   shapeMask.curveVertex(fullShape[fullShape.length - 1].x, fullShape[fullShape.length - 1].y);
   shapeMask.endShape(CLOSE);
 
-  // Draw outline
-  scene.push();
-  scene.noFill();
-  scene.stroke(0);
-  scene.strokeWeight(1 * K);
-  scene.curveTightness(-0.5);
-  scene.beginShape();
-  scene.curveVertex(fullShape[0].x, fullShape[0].y);
-  for (let pt of fullShape) {
-    scene.curveVertex(pt.x, pt.y);
+  // Outline painter for the 'outline' layer
+  return g => {
+    g.push();
+    g.noFill();
+    g.stroke(0);
+    g.strokeWeight(1 * K);
+    g.curveTightness(-0.5);
+    g.beginShape();
+    g.curveVertex(fullShape[0].x, fullShape[0].y);
+    for (let pt of fullShape) {
+      g.curveVertex(pt.x, pt.y);
+    }
+    g.curveVertex(fullShape[fullShape.length - 1].x, fullShape[fullShape.length - 1].y);
+    g.endShape(CLOSE);
+    g.pop();
+  };
+}
+
+/* ---------- layer compositing ---------- */
+// Every enabled layer into its buffer, then onto `scene`, masked to the body
+// (shapeMask) or not at all. With gpu the mask, opacity and blend run in its
+// shader instead of on the CPU.
+function compositeLayers(ctx, gpu = null) {
+  let maskImage = null;
+  let maskSent = false;
+
+  for (const layer of layerStack.list()) {
+    if (!layer.enabled || layer.opacity <= 0) continue;
+
+    const pg = layerBuffer(layer.id);
+    pg.clear();
+    layer.draw(pg, ctx);
+
+    if (gpu) {
+      const masked = layer.mask === 'body';
+      if (masked && !maskSent) {
+        gpu.mask(shapeMask.elt);
+        maskSent = true;
+      }
+      gpu.draw(pg.elt, { opacity: layer.opacity, blend: layer.blend, masked });
+      continue;
+    }
+
+    scene.push();
+    scene.blendMode(window[layer.blend.toUpperCase()] ?? BLEND);
+    scene.drawingContext.globalAlpha = layer.opacity;
+    if (layer.mask === 'body') {
+      maskImage = maskImage || shapeMask.get();
+      const img = pg.get();
+      img.mask(maskImage);
+      scene.image(img, 0, 0);
+    } else {
+      scene.image(pg, 0, 0);
+    }
+    scene.pop();
+    scene.blendMode(BLEND); // pop restores the canvas state but not p5's cached blend mode
+  }
+}
+
+function layerBuffer(id) {
+  let pg = layerBuffers.get(id);
+  const density = pixelDensity() * quality.layerDensity;
+  if (!pg || pg.width !== width || pg.height !== height || pg.pixelDensity() !== density) {
+    pg?.remove?.();
+    pg = createGraphics(width, height);
+    pg.pixelDensity(density);
+    pg.colorMode(RGB);
+    pg.noFill();
+    pg.stroke(255);
+    pg.strokeWeight(2);
+    layerBuffers.set(id, pg);
   }
-  scene.curveVertex(fullShape[fullShape.length - 1].x, fullShape[fullShape.length - 1].y);
-  scene.endShape(CLOSE);
-  scene.pop();
+  return pg;
+}
 
-  return fullShape;
+/* ---------- quality ---------- */
+// One frame's cost into the governor; a new level applies from the next frame
+function trackQuality(frameMs) {
+  const changed = governor.sample(frameMs, millis());
+  if (changed) {
+    console.log(`[QUALITY] ${quality.name} → ${changed.name}`);
+    applyQuality(changed);
+  }
+  if (changed || millis() - lastQualityReportAt >= QUALITY_REPORT_MS) {
+    lastQualityReportAt = millis();
+    if (window.EnergyBodiesDisplay) EnergyBodiesDisplay.quality(governor.describe());
+  }
+}
+
+// Grid and stroke budget are read while drawing and layer buffers follow in
+// layerBuffer(); the canvas and scene are rebuilt at the level's pixel density
+function applyQuality(level) {
+  quality = level;
+  if (pixelDensity() !== level.pixelDensity) {
+    pixelDensity(level.pixelDensity);
+    windowResized();
+  }
+}
+
+// Control → one layer's enabled / opacity; the stack is reported back
+function applyLayer(id, changes) {
+  const problem = layerStack.set(id, changes);
+  if (problem) {
+    console.warn(`[LAYERS] ${problem}`);
+    return;
+  }
+  console.log(`[LAYERS] ${id}`, changes);
+  reportLayers();
+}
+
+// e.g. addLayer({ id: 'glow', order: 15, blend: 'add', draw: (pg, ctx) => { … } })
+function addLayer(def) {
+  const layer = layerStack.add(def);
+  reportLayers();
+  return layer;
+}
+
+function reportLayers() {
+  if (window.EnergyBodiesDisplay?.layers) EnergyBodiesDisplay.layers(layerStack.describe());
 }
 
 // Register print implementation
 window.__ebPrintImpl = onPrintAverageThenSnapshot;
 
-function drawAnxietyPattern(pg, val, calm) {
-  pg.clear();
-  const A = TUNE.visuals.anxiety;
+// Emotion layers: each emotion names its layer kind in js/eb-emotions.js
+
+// 'scale' (fear): the body shrinks and pulses faster as the emotion rises
+function bodyScale(vals) {
+  const [e] = EBEmotions.withLayer('scale');
+  if (!e) return 1;
+
+  const FV = TUNE.visuals[e.layer.tune];
+  const amt = vals[e.name] / 5;
+  const baseScale = lerp(FV.baseScaleFrom, FV.baseScaleTo, amt);
+  const freq = lerp(FV.freqFrom, FV.freqTo, amt);
+  return baseScale + FV.pulseAmp * Math.sin(frameCount * freq);
+}
+
+// 'strokes' (anxiety), softened by the soothedBy emotion (calm)
+function drawStrokeLayers(pg, vals) {
+  for (const { name, layer } of EBEmotions.withLayer('strokes')) {
+    const calm = (vals[layer.soothedBy] ?? 0) / 5;
+    drawStrokePattern(pg, vals[name], calm, TUNE.visuals[layer.tune]);
+  }
+}
+
+function drawStrokePattern(pg, val, calm, A) {
   const alpha = lerp(A.alphaMax, A.alphaMin, calm);
   pg.stroke(255, alpha);
   pg.strokeWeight(2 * K);
@@ -1305,7 +1281,7 @@ function drawAnxietyPattern(pg, val, calm) {
   const cols = Math.ceil(width / baseSpacing);
   const rows = Math.ceil(height / baseSpacing);
   const totalCells = cols * rows;
-  const budget = Math.min(totalCells, A.maxStrokes || totalCells);
+  const budget = Math.max(1, Math.min(totalCells, Math.round((A.maxStrokes || totalCells) * quality.strokes)));
   const stride = Math.max(1, Math.ceil(Math.sqrt(totalCells / budget)));
 
   for (let yi = 0; yi < rows; yi += stride) {
@@ -1333,66 +1309,86 @@ function drawAnxietyPattern(pg, val, calm) {
   }
 }
 
-function drawEmotionLayers(pg, joyAmt, sadnessAmt, angerAmt) {
+// 'marbles' (joy, sadness, anger): tinted marbles, alpha from the slider.
+// Each emotion's marbles sit in a cached tile at full strength (marbleTile),
+// so a frame only fades the tiles in: one image per emotion instead of an
+// ellipse per grid cell.
+function drawEmotionLayers(pg, vals) {
   pg.clear();
-  const M = TUNE.visuals.marbles;
-  const gridSpacing = M.gridSpacing;
-  const emotionAlpha = M.alphaPerUnit;
 
-  // Joy (yellow)
-  if (joyAmt > 0) {
-    for (let y = 0; y < height; y += gridSpacing) {
-      for (let x = 0; x < width; x += gridSpacing) {
-        let alpha = joyAmt * emotionAlpha;
-        let c = color('#ffff00');
-        c.setAlpha(alpha);
-        let a = noise(x * 0.01, y * 0.01) * TWO_PI * 4;
-        let dx = Math.cos(a) * gridSpacing * 2;
-        let dy = Math.sin(a) * gridSpacing * 2;
-        pg.noStroke();
-        pg.fill(c);
-        pg.ellipse(x + dx, y + dy, gridSpacing * 2, gridSpacing * 2);
-      }
-    }
+  for (const emotion of EBEmotions.withLayer('marbles')) {
+    const amt = Math.min(1, vals[emotion.name] / 5);
+    if (!(amt > 0)) continue;
+
+    pg.push();
+    pg.drawingContext.globalAlpha = amt;
+    pg.image(marbleTile(emotion), 0, 0, width, height);
+    pg.pop();
   }
+}
+
+/* ---------- layer cache ---------- */
+// value stored under id, rebuilt by build() (and the old one removed) only
+// when key changes
+function cached(id, key, build) {
+  const hit = layerCache.get(id);
+  if (hit && hit.key === key) return hit.value;
+
+  hit?.value?.remove?.();
+  const value = build();
+  layerCache.set(id, { key, value });
+  return value;
+}
 
-  // Sadness (blue)
-  if (sadnessAmt > 0) {
+// Fields and tiles are rebuilt when the canvas size, grid spacing or
+// TUNE.visuals.marbles.seed changes
+function marbleGridKey() {
+  const M = TUNE.visuals.marbles;
+  return [width, height, M.gridSpacing * quality.grid, M.seed].join();
+}
+
+// Where each marble of one noiseOffset sits: grid cell + a noise flow-field push
+function marbleField(off) {
+  const M = TUNE.visuals.marbles;
+  const gridSpacing = M.gridSpacing * quality.grid;
+
+  return cached(`field:${off}`, marbleGridKey(), () => {
+    if (M.seed !== null) noiseSeed(M.seed);
+    const points = [];
     for (let y = 0; y < height; y += gridSpacing) {
       for (let x = 0; x < width; x += gridSpacing) {
-        let alpha = sadnessAmt * emotionAlpha;
-        let c = color('#2196F3');
-        c.setAlpha(alpha);
-        let a = noise(x * 0.01 + 100, y * 0.01 + 100) * TWO_PI * 4;
-        let dx = Math.cos(a) * gridSpacing * 2;
-        let dy = Math.sin(a) * gridSpacing * 2;
-        pg.noStroke();
-        pg.fill(c);
-        pg.ellipse(x + dx, y + dy, gridSpacing * 2, gridSpacing * 2);
+        const a = noise(x * 0.01 + off, y * 0.01 + off) * TWO_PI * 4;
+        points.push(x + Math.cos(a) * gridSpacing * 2, y + Math.sin(a) * gridSpacing * 2);
       }
     }
-  }
+    return { points, size: gridSpacing * 2 };
+  });
+}
 
-  // Anger (pink)
-  if (angerAmt > 0) {
-    for (let y = 0; y < height; y += gridSpacing) {
-      for (let x = 0; x < width; x += gridSpacing) {
-        let alpha = angerAmt * emotionAlpha;
-        let c = color('#FF53BC');
-        c.setAlpha(alpha);
-        let a = noise(x * 0.01 + 200, y * 0.01 + 200) * TWO_PI * 4;
-        let dx = Math.cos(a) * gridSpacing * 2;
-        let dy = Math.sin(a) * gridSpacing * 2;
-        pg.noStroke();
-        pg.fill(c);
-        pg.ellipse(x + dx, y + dy, gridSpacing * 2, gridSpacing * 2);
-      }
+// One emotion's marbles at full strength (alphaPerUnit), at the layer
+// buffers' density
+function marbleTile({ name, layer }) {
+  const M = TUNE.visuals.marbles;
+  const field = marbleField(layer.noiseOffset || 0);
+  const density = pixelDensity() * quality.layerDensity;
+  const key = [marbleGridKey(), layer.color, M.alphaPerUnit, density].join('|');
+
+  return cached(`tile:${name}`, key, () => {
+    const tile = createGraphics(width, height);
+    tile.pixelDensity(density);
+    const c = color(layer.color);
+    c.setAlpha(M.alphaPerUnit);
+    tile.noStroke();
+    tile.fill(c);
+    for (let i = 0; i < field.points.length; i += 2) {
+      tile.ellipse(field.points[i], field.points[i + 1], field.size, field.size);
     }
-  }
+    return tile;
+  });
 }
 
 /* =============================
-   11) PRINT FLOW
+   10) PRINT FLOW
    ============================= */
 function captureEnergyBodyHiRes() {
   // This function should capture at higher DPI
@@ -1510,16 +1506,19 @@ function onPrintSnapshotFallback() {
 }
 
 /* =============================
-   12) WINDOW RESIZE
+   11) WINDOW RESIZE
    ============================= */
 function windowResized() {
+  // startSketch() sizes the canvas to the window
+  if (!sketchStarted) return;
   resizeCanvas(windowWidth, windowHeight);
+  // free the old buffers' canvases before replacing them
+  scene.remove();
+  shapeMask.remove();
   scene = createGraphics(width, height);
-  patternGraphics = createGraphics(width, height);
   shapeMask = createGraphics(width, height);
-  emotionGraphics = createGraphics(width, height);
 
-  [scene, patternGraphics, shapeMask, emotionGraphics].forEach(g => {
+  [scene, shapeMask].forEach(g => {
     g.colorMode(RGB);
     g.noFill();
     g.stroke(255);
@@ -1530,7 +1529,7 @@ function windowResized() {
 }
 
 /* =============================
-   13) CONTROL PANEL INTEGRATION
+   12) CONTROL PANEL INTEGRATION
    ============================= */
 const PAUSE_CAMERA_ON_RESET = false;
 const RESET_INPUT_BLOCK_MS = 600;
@@ -1540,7 +1539,7 @@ function applySliders(emotion = {}, region = {}, opts = {}) {
   const now = millis ? millis() : 0;
   if (!opts.force && now < __blockIncomingUntil) return;
 
-  const BLEND = 0.35;
+  const BLEND = opts.blend ?? 0.35;
 
   for (const k in emotion) {
     if (emotionSliders[k]) {
@@ -1582,7 +1581,8 @@ function resetAll({ echo = true, resetPoseCaches = true, stopTrackingNow = true
   for (const n of emotionNames) emotionSliders[n]?.value(0);
   for (const n of [...regionNames, 'spine']) regionSliders[n]?.value(0);
 
-  // Reset metrics
+  // Reset metrics (and motion caches, so the next frame re-seeds velocity deltas)
+  poseEngine?.reset({ caches: resetPoseCaches, calibration: resetPoseCaches });
   movementVelocity = 0;
   fastVel = 0;
   slowVel = 0;
@@ -1603,15 +1603,13 @@ function resetAll({ echo = true, resetPoseCaches = true, stopTrackingNow = true
   _poseSeenAt = millis ? millis() : 0;
 
   if (resetPoseCaches) {
-    __prevKeypoints = null;
-    if (__prevByPart?.clear) __prevByPart.clear();
+    poseNet?.stop?.(); // also drops PoseNet's keypoint filter state
     poses = [];
   }
 
   // Clear graphics
   scene?.clear?.();
-  patternGraphics?.clear?.();
-  emotionGraphics?.clear?.();
+  layerBuffers.forEach(pg => pg.clear());
   shapeMask?.clear?.();
 
   __blockIncomingUntil = (millis ? millis() : 0) + RESET_INPUT_BLOCK_MS;
@@ -1619,6 +1617,39 @@ function resetAll({ echo = true, resetPoseCaches = true, stopTrackingNow = true
   if (echo) maybeEchoState();
 }
 
+// Live TUNE edit from the control's tuning panel
+function applyTune(path, value) {
+  const problem = tuneEditor.set(path, value);
+  if (problem) {
+    console.warn(`[TUNE] ${problem}`);
+    return false;
+  }
+  console.log(`[TUNE] ${path} = ${value}`);
+  pushTune([path]);
+  return true;
+}
+
+// Switch to a tuning profile (server/tuning.js): shipped TUNE plus the profile's edits
+function applyTuneProfile(tune = {}, name = '') {
+  tuneEditor.apply(tune).forEach(problem => console.warn(`[TUNE] ${name}: ${problem}`));
+  console.log(`[TUNE] profile ${name || '(unnamed)'}: ${Object.keys(tune).length} changes`);
+  pushTune([...tuneEditor.defaults.keys()]);
+}
+
+// Constants copied out of TUNE at startup are pushed on here
+function pushTune(paths) {
+  // The synthetic source and older ml5 builds have no configure()
+  if (paths.includes('inference.targetFps')) {
+    poseNet?.configure?.({ targetFps: TUNE.inference.targetFps });
+  }
+  if (paths.some(p => p.startsWith('poseFilter.'))) {
+    poseNet?.configure?.({ filter: TUNE.poseFilter });
+  }
+  if (paths.some(p => p.startsWith('quality.')) && governor) {
+    governor.configure(TUNE.quality);
+  }
+}
+
 function buildSampleForThisFrame() {
   const emotions = {};
   for (const n of emotionNames) {
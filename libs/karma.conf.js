@@ -18,6 +18,7 @@ module.exports = config => {
     preprocessors: {
       "src/index.js": ["webpack"],
       "src/utils/*.js": ["webpack"],
+      "src/PoseNet/*_test.js": ["webpack"],
     },
     webpack: {
       // TODO: This is duplication of the webpack.common.babel.js file, but they
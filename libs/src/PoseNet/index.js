@@ -12,6 +12,8 @@ import EventEmitter from 'events';
 import * as tf from '@tensorflow/tfjs';
 import * as posenet from '@tensorflow-models/posenet';
 import callCallback from '../utils/callcallback';
+import KeypointFilter from '../utils/keypointFilter';
+import PoseWorker, { workerSupported } from './poseWorker';
 
 
 const DEFAULTS = {
@@ -27,6 +29,9 @@ const DEFAULTS = {
   multiplier: 0.75, // 1.01, 1.0, 0.75, or 0.50 -- only for MobileNet
   quantBytes: 2, // 4, 2, 1
   modelUrl: null, // url path to model
+  filter: false, // true, or One Euro options { minCutoff, beta, dCutoff, minScore, coastMs, matchRadius }
+  targetFps: null, // any number > 0 to cap the video detection loop, null = as fast as possible
+  worker: false, // true, or { scripts: [tfjsUrl, posenetUrl] } to estimate in a Web Worker
 };
 
 class PoseNet extends EventEmitter {
@@ -44,6 +49,12 @@ class PoseNet extends EventEmitter {
    * @property {number} nmsRadius - default 0.75,
    * @property {number} quantBytes - default 2,
    * @property {string} modelUrl - default null
+   * @property {boolean|Object} filter - default false. Smooth keypoints over time with a
+   *    One Euro filter; pass an object to override its options (see utils/keypointFilter)
+   * @property {number} targetFps - default null. Most estimates per second the video loop runs
+   * @property {boolean|Object} worker - default false. Run estimation in a Web Worker; pass
+   *    { scripts } to load TensorFlow.js and PoseNet from other URLs (see ./poseWorker).
+   *    Falls back to the main thread without Worker, OffscreenCanvas or createImageBitmap
    */
   /**
    * Create a PoseNet model.
@@ -74,6 +85,20 @@ class PoseNet extends EventEmitter {
     this.inputResolution = options.inputResolution || DEFAULTS.inputResolution;
     this.quantBytes = options.quantBytes || DEFAULTS.quantBytes;
     this.nmsRadius = options.nmsRadius || DEFAULTS.nmsRadius;
+    const filter = options.filter || DEFAULTS.filter;
+    this.keypointFilter = filter ? new KeypointFilter(filter === true ? {} : filter) : null;
+    this.targetFps = options.targetFps || DEFAULTS.targetFps;
+    this.worker = options.worker || DEFAULTS.worker;
+    this.poseWorker = null;
+    this.loaded = false;
+    /**
+     * The state of the video detection loop.
+     * 'idle' (no video, or not loaded yet), 'running', 'paused', 'stopped' or 'disposed'
+     * @type {String}
+     * @public
+     */
+    this.status = 'idle';
+    this.loopDone = Promise.resolve();
     this.ready = callCallback(this.load(), callback);
     // this.then = this.ready.then;
   }
@@ -98,23 +123,175 @@ class PoseNet extends EventEmitter {
       }
     }
 
-    this.net = await posenet.load(modelJson);
+    this.modelJson = modelJson; // kept to reload on the main thread if the worker fails later
+    let net = null;
+    if (this.worker && workerSupported()) {
+      this.poseWorker = new PoseWorker(this.worker.scripts);
+      try {
+        await this.poseWorker.load(modelJson);
+      } catch (error) {
+        // dispose() while loading has already freed the worker
+        if (this.poseWorker) {
+          console.warn(`${error.message}; estimating on the main thread`);
+          await this.poseWorker.dispose();
+          this.poseWorker = null;
+        }
+      }
+    } else if (this.worker) {
+      console.warn('PoseNet: Web Workers with OffscreenCanvas are not supported here, estimating on the main thread');
+    }
+    if (!this.poseWorker && this.status !== 'disposed') net = await posenet.load(modelJson);
+
+    if (this.video && this.video.readyState === 0 && this.status !== 'disposed') {
+      // dispose() ends the wait as well, or a video that never loads keeps ready pending
+      await new Promise((resolve) => {
+        this.stopWaiting = resolve;
+        this.video.onloadeddata = () => resolve();
+      });
+      this.stopWaiting = null;
+    }
+    if (this.status === 'disposed') {
+      if (net) net.dispose();
+      if (this.poseWorker) await this.poseWorker.dispose();
+      this.poseWorker = null;
+      return this;
+    }
+    this.net = net;
+    this.loaded = true;
+    // pause() or stop() before the model was ready keep the loop from starting
+    if (this.video && (this.status === 'idle' || this.status === 'running')) this.start();
+    return this;
+  }
+
+  /**
+   * Starts estimating poses on the video, one frame after another.
+   * Each estimate is emitted as a 'pose' event; a failed one pauses the loop
+   * and is emitted as an 'error' event (see loopFailed).
+   */
+  start() {
+    if (!this.video || this.status === 'disposed') return this;
+    this.status = 'running';
+    if (this.loaded && !this.looping) {
+      this.looping = true;
+      this.loopDone = this.detectLoop();
+    }
+    return this;
+  }
 
-    if (this.video) {
-      if (this.video.readyState === 0) {
-        await new Promise((resolve) => {
-          this.video.onloadeddata = () => resolve();
-        });
+  async detectLoop() {
+    let failure = null;
+    try {
+      while (this.status === 'running') {
+        const frameStart = performance.now();
+        // eslint-disable-next-line no-await-in-loop
+        await (this.detectionType === 'single' ? this.singlePose() : this.multiPose());
+        // eslint-disable-next-line no-await-in-loop
+        await this.waitForNextFrame(frameStart);
       }
-      if (this.detectionType === 'single') {
-        this.singlePose();
-      } else {
-        this.multiPose();
+    } catch (error) {
+      failure = error;
+    } finally {
+      this.looping = false;
+    }
+    if (failure) await this.loopFailed(failure);
+  }
+
+  /**
+   * An estimate in the detection loop threw. With a worker, estimation moves to
+   * the main thread and the loop goes on. Otherwise the loop pauses, so resume()
+   * can restart it, and the error is emitted as an 'error' event (or logged when
+   * nothing listens for one).
+   * @param {Error} error
+   */
+  async loopFailed(error) {
+    if (this.poseWorker) {
+      console.warn(`${error.message}; estimating on the main thread`);
+      const worker = this.poseWorker;
+      this.poseWorker = null;
+      await worker.dispose();
+      try {
+        this.net = await posenet.load(this.modelJson);
+      } catch (loadError) {
+        await this.loopFailed(loadError);
+        return;
       }
+      if (this.status === 'running') this.start();
+      return;
     }
+    if (this.status === 'running') this.status = 'paused';
+    if (this.listenerCount('error') > 0) this.emit('error', error);
+    else console.error('PoseNet: detection loop paused:', error);
+  }
+
+  /**
+   * Waits for the next animation frame, and with targetFps set, first for
+   * the rest of the frame's time budget so the renderer gets the thread.
+   * @param {number} frameStart - performance.now() when the estimate began
+   */
+  async waitForNextFrame(frameStart) {
+    if (this.targetFps > 0) {
+      const wait = 1000 / this.targetFps - (performance.now() - frameStart);
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    await tf.nextFrame();
+  }
+
+  /**
+   * Changes options while the model runs. Options left out keep their value.
+   * @param {Object} options
+   * @param {boolean|Object} [options.filter] - as in the constructor. The new filter starts
+   *    from fresh keypoints; false turns filtering off
+   * @param {number} [options.targetFps] - as in the constructor, null to run as fast as possible
+   */
+  configure({ filter, targetFps } = {}) {
+    if (filter !== undefined) this.keypointFilter = filter ? new KeypointFilter(filter === true ? {} : filter) : null;
+    if (targetFps !== undefined) this.targetFps = targetFps || DEFAULTS.targetFps;
     return this;
   }
 
+  /**
+   * Stops the detection loop after the current estimate, keeping the keypoint filter state.
+   */
+  pause() {
+    if (this.status === 'running' || this.status === 'idle') this.status = 'paused';
+    return this;
+  }
+
+  /**
+   * Restarts the detection loop after pause() or stop().
+   */
+  resume() {
+    if (this.status === 'paused' || this.status === 'stopped') this.start();
+    return this;
+  }
+
+  /**
+   * Stops the detection loop and forgets the keypoint filter state,
+   * so the next start begins from fresh keypoints.
+   */
+  stop() {
+    if (this.status !== 'disposed') this.status = 'stopped';
+    if (this.keypointFilter) this.keypointFilter.reset();
+    return this;
+  }
+
+  /**
+   * Stops the detection loop and releases the model's memory. The instance can not be used afterwards.
+   * @return {Promise<void>} - resolves once the model has been released
+   */
+  async dispose() {
+    if (this.status === 'disposed') return;
+    this.stop();
+    this.status = 'disposed';
+    if (this.stopWaiting) this.stopWaiting();
+    await this.loopDone;
+    if (this.net) this.net.dispose();
+    this.net = null;
+    if (this.poseWorker) await this.poseWorker.dispose();
+    this.poseWorker = null;
+    this.removeAllListeners();
+  }
+
   skeleton(keypoints, confidence = this.minConfidence) {
     return posenet.getAdjacentKeyPoints(keypoints, confidence);
   }
@@ -153,30 +330,55 @@ class PoseNet extends EventEmitter {
   }
 
   /**
-   * Given an image or video, returns an array of objects containing pose estimations 
-   *    using single or multi-pose detection.
-   * @param {HTMLVideoElement || p5.Video || function} inputOr 
-   * @param {function} cb 
+   * Raw PoseNet poses for an input, from the worker when there is one.
+   * @param {HTMLVideoElement || HTMLImageElement || HTMLCanvasElement || ImageData} input
+   * @param {string} detectionType - 'single' or 'multiple'
+   * @return {Promise<Object[]>}
    */
-  /* eslint max-len: ["error", { "code": 180 }] */
-  async singlePose(inputOr, cb) {
-    const input = this.getInput(inputOr);
+  async estimate(input, detectionType) {
+    const options = detectionType === 'single'
+      ? { flipHorizontal: this.flipHorizontal }
+      : {
+        flipHorizontal: this.flipHorizontal,
+        maxDetections: this.maxPoseDetections,
+        scoreThreshold: this.scoreThreshold,
+        nmsRadius: this.nmsRadius,
+      };
+    if (this.poseWorker) return this.poseWorker.estimate(input, detectionType, options);
+    if (!this.net) throw new Error('PoseNet: the model is not loaded yet');
+    if (detectionType === 'single') return [await this.net.estimateSinglePose(input, options)];
+    return this.net.estimateMultiplePoses(input, options);
+  }
 
-    const pose = await this.net.estimateSinglePose(input, {flipHorizontal: this.flipHorizontal});
-    const poseWithParts = this.mapParts(pose);
-    const result = [{ pose:poseWithParts, skeleton: this.skeleton(pose.keypoints) }];
+  /**
+   * Filters and maps raw poses into results, then emits them as a 'pose' event.
+   * Every result carries the timestamp (performance.now()) of the frame it was estimated on.
+   */
+  emitPoses(rawPoses, timestamp, cb) {
+    const poses = this.keypointFilter ? this.keypointFilter.filterPoses(rawPoses, timestamp) : rawPoses;
+    const result = poses.map(pose => ({ pose: this.mapParts(pose), skeleton: this.skeleton(pose.keypoints), timestamp }));
     this.emit('pose', result);
 
-    if (this.video) {
-      return tf.nextFrame().then(() => this.singlePose());
-    }
-
     if (typeof cb === 'function') {
       cb(result);
     }
 
     return result;
   }
+
+  /**
+   * Given an image or video, returns an array of objects containing pose estimations 
+   *    using single or multi-pose detection.
+   * @param {HTMLVideoElement || p5.Video || function} inputOr 
+   * @param {function} cb 
+   */
+  /* eslint max-len: ["error", { "code": 180 }] */
+  async singlePose(inputOr, cb) {
+    const input = this.getInput(inputOr);
+    const timestamp = performance.now();
+    const rawPoses = await this.estimate(input, 'single');
+    return this.emitPoses(rawPoses, timestamp, cb);
+  }
   
   /**
    * Given an image or video, returns an array of objects containing pose 
@@ -186,26 +388,9 @@ class PoseNet extends EventEmitter {
    */
   async multiPose(inputOr, cb) {
     const input = this.getInput(inputOr);
-
-    const poses = await this.net.estimateMultiplePoses(input, {
-      flipHorizontal: this.flipHorizontal,
-      maxDetections: this.maxPoseDetections,
-      scoreThreshold: this.scoreThreshold,
-      nmsRadius: this.nmsRadius
-    });
-
-    const posesWithParts = poses.map(pose => (this.mapParts(pose)));
-    const result = posesWithParts.map(pose => ({ pose, skeleton: this.skeleton(pose.keypoints) }));
-    this.emit('pose', result);
-    if (this.video) {
-      return tf.nextFrame().then(() => this.multiPose());
-    }
-
-    if (typeof cb === 'function') {
-      cb(result);
-    }
-
-    return result;
+    const timestamp = performance.now();
+    const rawPoses = await this.estimate(input, 'multiple');
+    return this.emitPoses(rawPoses, timestamp, cb);
   }
 }
 
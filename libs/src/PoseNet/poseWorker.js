@@ -0,0 +1,177 @@
+// Copyright (c) 2018 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/*
+PoseNet worker
+Runs PoseNet estimation in a Web Worker so inference does not compete with
+rendering on the main thread. Each video frame is copied into an
+ImageBitmap, transferred to the worker, drawn on an OffscreenCanvas there
+and estimated; the poses come back to the main thread with the frame's
+timestamp.
+*/
+
+import * as tf from '@tensorflow/tfjs';
+import * as posenet from '@tensorflow-models/posenet';
+
+const CDN = 'https://cdn.jsdelivr.net/npm';
+
+/**
+ * The scripts the worker loads with importScripts(): TensorFlow.js and the
+ * PoseNet model package, matching the versions bundled with ml5.
+ * @return {string[]}
+ */
+export const defaultWorkerScripts = () => [
+  `${CDN}/@tensorflow/tfjs@${(tf.version && tf.version.tfjs) || '1.7.0'}/dist/tf.min.js`,
+  `${CDN}/@tensorflow-models/posenet@${posenet.version || '2.2.1'}/dist/posenet.min.js`,
+];
+
+/**
+ * Source of the worker script.
+ * @param {string[]} scripts - URLs to import before the model loads
+ * @return {string}
+ */
+export const workerSource = scripts => `
+importScripts(${scripts.map(url => JSON.stringify(url)).join(', ')});
+let net = null;
+let canvas = null;
+let ctx = null;
+
+onmessage = async ({ data }) => {
+  try {
+    if (data.type === 'load') {
+      net = await posenet.load(data.model);
+      postMessage({ type: 'ready' });
+    } else if (data.type === 'estimate') {
+      const { bitmap, id, detectionType, options } = data;
+      if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+        canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        ctx = canvas.getContext('2d');
+      }
+      ctx.drawImage(bitmap, 0, 0);
+      bitmap.close();
+      const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      const poses = detectionType === 'single'
+        ? [await net.estimateSinglePose(image, options)]
+        : await net.estimateMultiplePoses(image, options);
+      postMessage({ type: 'poses', id, poses });
+    } else if (data.type === 'dispose') {
+      if (net) net.dispose();
+      net = null;
+      postMessage({ type: 'disposed' });
+    }
+  } catch (error) {
+    postMessage({ type: 'error', id: data.id, message: String(error && error.message || error) });
+  }
+};
+`;
+
+/**
+ * True when this browser can run estimation in a worker.
+ * @return {boolean}
+ */
+export const workerSupported = () => typeof Worker !== 'undefined'
+  && typeof OffscreenCanvas !== 'undefined'
+  && typeof createImageBitmap === 'function';
+
+export default class PoseWorker {
+  /**
+   * @param {string[]} [scripts] - URLs of TensorFlow.js and PoseNet for the worker
+   *    (defaults to the CDN builds matching ml5's versions)
+   */
+  constructor(scripts = defaultWorkerScripts()) {
+    const url = URL.createObjectURL(new Blob([workerSource(scripts)], { type: 'text/javascript' }));
+    this.worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    this.pending = new Map(); // id -> { resolve, reject }
+    this.nextId = 1;
+    this.waiting = {}; // 'ready' | 'disposed' -> { resolve, reject }
+    this.worker.onmessage = ({ data }) => this.onMessage(data);
+    // e.g. importScripts() could not load a script: nothing will answer any more.
+    // The rejections report it, so keep the browser from also throwing it on the page
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.fail(new Error(`PoseNet worker: ${event.message}`));
+    };
+  }
+
+  fail(error) {
+    this.error = error;
+    Object.values(this.waiting).forEach(({ reject }) => reject(error));
+    this.waiting = {};
+    this.pending.forEach(({ reject }) => reject(error));
+    this.pending.clear();
+  }
+
+  onMessage(data) {
+    if (data.type === 'poses' || data.type === 'error') {
+      const request = this.pending.get(data.id);
+      if (!request) {
+        // a failed load has no request id
+        if (data.type === 'error' && this.waiting.ready) {
+          this.waiting.ready.reject(new Error(`PoseNet worker: ${data.message}`));
+          delete this.waiting.ready;
+        } else if (data.type === 'error') console.error(`PoseNet worker: ${data.message}`);
+        return;
+      }
+      this.pending.delete(data.id);
+      if (data.type === 'poses') request.resolve(data.poses);
+      else request.reject(new Error(data.message));
+      return;
+    }
+    const waiting = this.waiting[data.type];
+    delete this.waiting[data.type];
+    if (waiting) waiting.resolve();
+  }
+
+  /**
+   * Loads the model in the worker.
+   * @param {Object} model - the posenet.load() config
+   * @return {Promise<void>}
+   */
+  load(model) {
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      this.waiting.ready = { resolve, reject };
+      this.worker.postMessage({ type: 'load', model });
+    });
+  }
+
+  /**
+   * Estimates poses on an image, canvas or the current frame of a video.
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageData} input
+   * @param {string} detectionType - 'single' or 'multiple'
+   * @param {Object} options - estimateSinglePose/estimateMultiplePoses options
+   * @return {Promise<Object[]>} - the raw PoseNet poses
+   */
+  async estimate(input, detectionType, options) {
+    if (this.error) throw this.error;
+    // Same size the main thread would estimate at: the element's width/height attributes
+    const bitmap = await createImageBitmap(input, {
+      resizeWidth: input.width || input.videoWidth,
+      resizeHeight: input.height || input.videoHeight,
+    });
+    const id = this.nextId;
+    this.nextId += 1;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ type: 'estimate', id, bitmap, detectionType, options }, [bitmap]);
+    });
+  }
+
+  /**
+   * Releases the model and ends the worker.
+   * @return {Promise<void>}
+   */
+  async dispose() {
+    if (!this.error) {
+      await new Promise((resolve) => {
+        this.waiting.disposed = { resolve, reject: resolve };
+        this.worker.postMessage({ type: 'dispose' });
+      });
+    }
+    this.worker.terminate();
+    this.fail(new Error('PoseNet worker disposed'));
+  }
+}
@@ -0,0 +1,94 @@
+// Copyright (c) 2018 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+import poseNet from './index';
+import PoseWorker, { defaultWorkerScripts, workerSource } from './poseWorker';
+
+// A script the worker can importScripts() in place of TensorFlow.js and PoseNet
+const scriptUrl = source => URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+
+// A fake posenet global: each pose's score is the width of the frame the worker drew
+const FAKE_POSENET = scriptUrl(`
+self.posenet = {
+  load: async () => ({
+    estimateSinglePose: async image => ({ score: image.width, keypoints: [] }),
+    estimateMultiplePoses: async () => { throw new Error('no multi-pose model'); },
+    dispose: () => {},
+  }),
+};
+`);
+const BROKEN_SCRIPT = scriptUrl('throw new Error("could not load posenet");');
+
+describe('PoseWorker', () => {
+  function frame(width = 8, height = 6) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  // The error a promise rejects with
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    fail('Promise should have been rejected');
+    return null;
+  }
+
+  it('loads TensorFlow.js and PoseNet from the CDN by default', () => {
+    const [tfjs, posenet] = defaultWorkerScripts();
+    expect(tfjs).toMatch(/@tensorflow\/tfjs@[\d.]+\/dist\/tf\.min\.js$/);
+    expect(posenet).toMatch(/@tensorflow-models\/posenet@[\d.]+\/dist\/posenet\.min\.js$/);
+  });
+
+  it('imports the given scripts in the worker source', () => {
+    const source = workerSource(['a.js', 'b.js']);
+    expect(source).toContain('importScripts("a.js", "b.js");');
+  });
+
+  it('estimates a posted frame in the worker', async () => {
+    const worker = new PoseWorker([FAKE_POSENET]);
+    await worker.load({});
+    const poses = await worker.estimate(frame(8, 6), 'single', {});
+    expect(poses).toEqual([{ score: 8, keypoints: [] }]);
+    await worker.dispose();
+  });
+
+  it('rejects the estimate the model failed on and keeps serving', async () => {
+    const worker = new PoseWorker([FAKE_POSENET]);
+    await worker.load({});
+    const error = await rejection(worker.estimate(frame(), 'multiple', {}));
+    expect(error.message).toBe('no multi-pose model');
+    const poses = await worker.estimate(frame(4, 4), 'single', {});
+    expect(poses[0].score).toBe(4);
+    await worker.dispose();
+  });
+
+  it('rejects the load and every later estimate when its scripts fail', async () => {
+    const worker = new PoseWorker([BROKEN_SCRIPT]);
+    const error = await rejection(worker.load({}));
+    expect(error.message).toMatch(/^PoseNet worker: /);
+    expect(await rejection(worker.estimate(frame(), 'single', {}))).toBe(error);
+    await worker.dispose();
+  });
+
+  it('lets PoseNet fall back to the main thread when the worker cannot load', async () => {
+    const net = poseNet({ detectionType: 'single', worker: { scripts: [BROKEN_SCRIPT] } });
+    await net.ready;
+    expect(net.poseWorker).toBeNull();
+    expect(net.net).toBeTruthy();
+    await net.dispose();
+  });
+
+  it('disposes a worker that was never loaded', async () => {
+    const worker = new PoseWorker([FAKE_POSENET]);
+    await worker.dispose();
+    const error = await rejection(worker.load({}));
+    expect(error.message).toBe('PoseNet worker disposed');
+  });
+});
@@ -0,0 +1,195 @@
+// Copyright (c) 2018 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/*
+Keypoint filtering
+Temporal smoothing for pose keypoints with the One Euro filter
+(Casiez, Roussel & Vogel, CHI 2012): a low-pass filter whose cutoff rises
+with speed, so still keypoints stop jittering while fast motion keeps
+little lag.
+*/
+
+const DEFAULTS = {
+  minCutoff: 1.0, // Hz. Lower = smoother when still
+  beta: 0.007, // How fast the cutoff rises with speed. Higher = less lag when moving
+  dCutoff: 1.0, // Hz. Cutoff for the speed estimate itself
+  minScore: 0.3, // Keypoints below this score coast instead of updating the filter
+  coastMs: 250, // How long a low-score keypoint may hold its last filtered position
+  matchRadius: 100, // px. multi-pose: furthest a pose may move between frames and keep its filters
+};
+
+const smoothingFactor = (dt, cutoff) => {
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+};
+
+/**
+ * One Euro filter for a single scalar signal.
+ */
+export class OneEuroFilter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minCutoff] - minimum cutoff frequency in Hz
+   * @param {number} [options.beta] - speed coefficient
+   * @param {number} [options.dCutoff] - cutoff frequency for the derivative in Hz
+   */
+  constructor({ minCutoff = DEFAULTS.minCutoff, beta = DEFAULTS.beta, dCutoff = DEFAULTS.dCutoff } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.x = null;
+    this.dx = 0;
+    this.t = null;
+  }
+
+  /**
+   * @param {number} value - the new raw sample
+   * @param {number} timestamp - time of the sample in milliseconds
+   * @return {number} - the filtered value
+   */
+  filter(value, timestamp) {
+    if (this.x === null) {
+      this.x = value;
+      this.t = timestamp;
+      return value;
+    }
+    const dt = (timestamp - this.t) / 1000;
+    if (dt <= 0) return this.x;
+
+    const dx = (value - this.x) / dt;
+    this.dx += smoothingFactor(dt, this.dCutoff) * (dx - this.dx);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.dx);
+    this.x += smoothingFactor(dt, cutoff) * (value - this.x);
+    this.t = timestamp;
+    return this.x;
+  }
+}
+
+/**
+ * Filters every keypoint of a pose (x and y separately). Keypoints scoring
+ * below minScore do not move the filter: they keep their last filtered
+ * position ("coast") for up to coastMs, then fall back to the raw position.
+ */
+class PoseFilter {
+  constructor(options) {
+    this.options = options;
+    this.parts = new Map(); // part -> { x, y, lastConfident }
+  }
+
+  filter(pose, timestamp) {
+    const { minScore, coastMs } = this.options;
+    const keypoints = pose.keypoints.map((keypoint) => {
+      let state = this.parts.get(keypoint.part);
+      if (!state) {
+        state = { x: new OneEuroFilter(this.options), y: new OneEuroFilter(this.options), lastConfident: -Infinity };
+        this.parts.set(keypoint.part, state);
+      }
+
+      if (keypoint.score < minScore) {
+        if (state.x.x !== null && timestamp - state.lastConfident <= coastMs) {
+          return { ...keypoint, position: { x: state.x.x, y: state.y.x }, coasting: true };
+        }
+        state.x.reset();
+        state.y.reset();
+        return { ...keypoint, position: { ...keypoint.position } };
+      }
+
+      state.lastConfident = timestamp;
+      return {
+        ...keypoint,
+        position: {
+          x: state.x.filter(keypoint.position.x, timestamp),
+          y: state.y.filter(keypoint.position.y, timestamp),
+        },
+      };
+    });
+    return { ...pose, keypoints };
+  }
+}
+
+// Center of a pose's confident keypoints (all keypoints if none are)
+const centroid = (pose, minScore) => {
+  const confident = pose.keypoints.filter(k => k.score >= minScore);
+  const points = confident.length ? confident : pose.keypoints;
+  const sum = points.reduce((acc, k) => ({ x: acc.x + k.position.x, y: acc.y + k.position.y }), { x: 0, y: 0 });
+  const n = Math.max(1, points.length);
+  return { x: sum.x / n, y: sum.y / n };
+};
+
+/**
+ * Keeps one PoseFilter per person. Poses arrive in no particular order, so
+ * each one is given the filters of the nearest pose from the previous frame
+ * (by the centroid of its confident keypoints, within matchRadius);
+ * unmatched poses start fresh.
+ */
+export default class KeypointFilter {
+  /**
+   * @param {Object} [options] - see DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.tracks = []; // { filter, center, seen }
+  }
+
+  reset() {
+    this.tracks = [];
+  }
+
+  /**
+   * @param {Object} pose - a PoseNet pose ({ score, keypoints })
+   * @param {number} timestamp - frame time in milliseconds
+   * @return {Object} - a copy of the pose with filtered keypoint positions
+   */
+  filterPose(pose, timestamp) {
+    return this.filterPoses([pose], timestamp)[0];
+  }
+
+  /**
+   * @param {Object[]} poses - PoseNet poses from one frame
+   * @param {number} timestamp - frame time in milliseconds
+   * @return {Object[]} - copies of the poses with filtered keypoint positions, in the same order
+   */
+  filterPoses(poses, timestamp) {
+    const { matchRadius, coastMs, minScore } = this.options;
+    const centers = poses.map(pose => centroid(pose, minScore));
+
+    const pairs = [];
+    this.tracks.forEach((track) => {
+      centers.forEach((center, i) => {
+        const d = Math.hypot(center.x - track.center.x, center.y - track.center.y);
+        if (d <= matchRadius) pairs.push({ track, i, d });
+      });
+    });
+    pairs.sort((a, b) => a.d - b.d);
+
+    const assigned = new Array(poses.length).fill(null);
+    const used = new Set();
+    pairs.forEach(({ track, i }) => {
+      if (used.has(track) || assigned[i]) return;
+      used.add(track);
+      assigned[i] = track;
+    });
+
+    const filtered = poses.map((pose, i) => {
+      let track = assigned[i];
+      if (!track) {
+        track = { filter: new PoseFilter(this.options) };
+        this.tracks.push(track);
+      }
+      track.center = centers[i];
+      track.seen = timestamp;
+      return track.filter.filter(pose, timestamp);
+    });
+
+    this.tracks = this.tracks.filter(track => timestamp - track.seen <= coastMs);
+    return filtered;
+  }
+}
+
+export { DEFAULTS as KEYPOINT_FILTER_DEFAULTS };
@@ -0,0 +1,110 @@
+// Copyright (c) 2018 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+import KeypointFilter, { OneEuroFilter } from "./keypointFilter";
+
+const FRAME_MS = 1000 / 30;
+
+const makePose = (x, y, score = 0.9) => ({
+  score,
+  keypoints: [
+    { part: "nose", score, position: { x, y } },
+    { part: "leftShoulder", score, position: { x: x + 20, y: y + 40 } },
+  ],
+});
+
+// Deterministic jitter in [-amount, amount]
+const jitter = (i, amount) => Math.sin(i * 12.9898) * amount;
+
+const spread = values => Math.max(...values) - Math.min(...values);
+
+describe("OneEuroFilter", () => {
+  it("returns the first sample unchanged", () => {
+    const filter = new OneEuroFilter();
+    expect(filter.filter(42, 0)).toBe(42);
+  });
+
+  it("reduces jitter on a still signal", () => {
+    const filter = new OneEuroFilter({ minCutoff: 1, beta: 0 });
+    const raw = [];
+    const out = [];
+    for (let i = 0; i < 60; i += 1) {
+      const value = 100 + jitter(i, 5);
+      raw.push(value);
+      out.push(filter.filter(value, i * FRAME_MS));
+    }
+    expect(spread(out.slice(30))).toBeLessThan(spread(raw.slice(30)) / 2);
+  });
+
+  it("lags less on fast motion when beta is higher", () => {
+    const slow = new OneEuroFilter({ minCutoff: 1, beta: 0 });
+    const fast = new OneEuroFilter({ minCutoff: 1, beta: 0.5 });
+    let value = 0;
+    for (let i = 0; i < 30; i += 1) {
+      value = i * 20;
+      slow.filter(value, i * FRAME_MS);
+      fast.filter(value, i * FRAME_MS);
+    }
+    expect(Math.abs(value - fast.x)).toBeLessThan(Math.abs(value - slow.x));
+  });
+
+  it("starts over after reset", () => {
+    const filter = new OneEuroFilter();
+    filter.filter(0, 0);
+    filter.filter(10, FRAME_MS);
+    filter.reset();
+    expect(filter.filter(500, 2 * FRAME_MS)).toBe(500);
+  });
+});
+
+describe("KeypointFilter", () => {
+  it("returns a copy and leaves the input pose untouched", () => {
+    const filter = new KeypointFilter();
+    const pose = makePose(100, 100);
+    filter.filterPose(pose, 0);
+    const next = makePose(110, 100);
+    const out = filter.filterPose(next, FRAME_MS);
+    expect(next.keypoints[0].position.x).toBe(110);
+    expect(out.keypoints[0].position.x).toBeLessThan(110);
+    expect(out.keypoints[0].part).toBe("nose");
+  });
+
+  it("lets low-score keypoints coast on their last filtered position", () => {
+    const filter = new KeypointFilter({ minScore: 0.3, coastMs: 250 });
+    filter.filterPose(makePose(100, 100), 0);
+    const occluded = makePose(100, 100);
+    occluded.keypoints[0] = { part: "nose", score: 0.1, position: { x: 400, y: 400 } };
+    const held = filter.filterPose(occluded, FRAME_MS);
+    expect(held.keypoints[0].position).toEqual({ x: 100, y: 100 });
+    expect(held.keypoints[0].coasting).toBe(true);
+    expect(held.keypoints[0].score).toBe(0.1);
+  });
+
+  it("falls back to the raw position once coastMs has passed", () => {
+    const filter = new KeypointFilter({ minScore: 0.3, coastMs: 100, matchRadius: 1000 });
+    filter.filterPose(makePose(100, 100), 0);
+    filter.filterPose(makePose(400, 400, 0.1), 50);
+    const late = filter.filterPose(makePose(400, 400, 0.1), 200);
+    expect(late.keypoints[0].position).toEqual({ x: 400, y: 400 });
+    expect(late.keypoints[0].coasting).toBeUndefined();
+  });
+
+  it("keeps each person's filters when multi-pose order changes", () => {
+    const filter = new KeypointFilter({ beta: 0 });
+    filter.filterPoses([makePose(100, 100), makePose(500, 100)], 0);
+    const [right, left] = filter.filterPoses([makePose(505, 100), makePose(105, 100)], FRAME_MS);
+    expect(right.keypoints[0].position.x).toBeGreaterThan(500);
+    expect(right.keypoints[0].position.x).toBeLessThan(505);
+    expect(left.keypoints[0].position.x).toBeGreaterThan(100);
+    expect(left.keypoints[0].position.x).toBeLessThan(105);
+  });
+
+  it("starts a fresh filter for a pose outside matchRadius", () => {
+    const filter = new KeypointFilter({ matchRadius: 50 });
+    filter.filterPose(makePose(100, 100), 0);
+    const out = filter.filterPose(makePose(600, 100), FRAME_MS);
+    expect(out.keypoints[0].position.x).toBe(600);
+  });
+});
@@ -0,0 +1,64 @@
+// scripts/check-profiles.js
+// Runs every synthetic motion profile (js/eb-synthetic-pose.js) through the
+// display's analytics engine (js/eb-analytics.js + js/eb-tune.js) in Node and
+// checks that each one moves the emotions the way its `expects` says, both
+// with the absolute mappings and after calibrating on a neutral stance.
+//
+//   npm run check:profiles                 all profiles
+//   npm run check:profiles -- burst slump  only these
+//
+// Exits non-zero if any profile misses, so TUNE changes can be checked
+// without a camera or a browser.
+const Synthetic = require('../js/eb-synthetic-pose');
+const Analytics = require('../js/eb-analytics');
+const TUNE = require('../js/eb-tune');
+
+const WIDTH = 1280, HEIGHT = 720; // the display sizes its video to the canvas
+const FPS = 30;
+const LOOPS = 2; // the first loop is warm-up, the last one is checked
+const MAX_CALIBRATION_FRAMES = FPS * 60; // the engine gives up sooner (calibration.giveUpAfter)
+
+function run(name, calibrated) {
+  const profile = Synthetic.PROFILES[name];
+  const rand = Synthetic.seededRandom(1);
+  let now = 0;
+  const engine = Analytics.createEngine(TUNE, { width: WIDTH, height: HEIGHT, now: () => now });
+  let current = { emotion: {}, region: {} };
+  const samples = [];
+
+  if (calibrated) {
+    // the participant stands still while the session starts
+    engine.startCalibration();
+    for (let frame = 0; frame < MAX_CALIBRATION_FRAMES && engine.calibration().state === 'collecting'; frame++, now += 1000 / FPS) {
+      const [{ pose }] = Synthetic.frameAt(Synthetic.PROFILES.still, now, { width: WIDTH, height: HEIGHT, rand });
+      engine.update(pose.keypoints, current);
+    }
+    if (engine.calibration().state !== 'done') {
+      return { profile: `${name} (calibration never finished)`, ok: false, results: [] };
+    }
+    engine.reset({ caches: true });
+  }
+
+  for (let t = 0; t < profile.durationMs * LOOPS; t += 1000 / FPS) {
+    const [{ pose }] = Synthetic.frameAt(profile, t, { width: WIDTH, height: HEIGHT, rand });
+    const { emotions, regions } = engine.update(pose.keypoints, current);
+    current = { emotion: emotions, region: regions };
+    const loopT = t - profile.durationMs * (LOOPS - 1);
+    if (loopT >= 0) samples.push({ t: loopT, emotions });
+  }
+  const check = Synthetic.checkTrend(name, samples);
+  return calibrated ? { ...check, profile: `${name} (calibrated)` } : check;
+}
+
+const names = process.argv.slice(2).length ? process.argv.slice(2) : Object.keys(Synthetic.PROFILES);
+const unknown = names.filter(n => !Synthetic.PROFILES[n]);
+if (unknown.length) {
+  console.error(`❌ unknown profile(s): ${unknown.join(', ')} (${Object.keys(Synthetic.PROFILES).join('|')})`);
+  process.exit(2);
+}
+
+const checks = [...names.map(n => run(n, false)), ...names.map(n => run(n, true))];
+checks.forEach(check => console.log(Synthetic.formatCheck(check)));
+const failed = checks.filter(c => !c.ok).map(c => c.profile);
+console.log(failed.length ? `❌ ${failed.length} profile(s) off: ${failed.join(', ')}` : `✅ ${checks.length} profile(s) as expected`);
+process.exit(failed.length ? 1 : 0);
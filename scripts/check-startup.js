@@ -0,0 +1,101 @@
+// scripts/check-startup.js
+// Starts the display sketch in Node with ?tuning=<a profile the server does
+// not have> and checks that it still gets to draw(): setup() fetches the
+// profile, warns when it is missing or the server is down, and starts from
+// the shipped TUNE (js/eb-tune.js).
+//
+//   npm run check:startup                  sketch.js and js/sketch.js
+//   npm run check:startup -- js/sketch.js  only this one
+//
+// p5, ml5 and the camera are stand-ins: every global the sketch does not get
+// from js/ is a function that returns itself and counts as 0, so the check is
+// about the startup order, not what gets drawn. Exits non-zero on a miss.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MODULES = {
+  EBTune: require('../js/eb-tune'),
+  EBTuneEdit: require('../js/eb-tune-edit'),
+  EBEmotions: require('../js/eb-emotions'),
+  EBAnalytics: require('../js/eb-analytics'),
+  EBSession: require('../js/eb-session'),
+  EBTracker: require('../js/eb-tracker'),
+  EBLayers: require('../js/eb-layers'),
+  EBQuality: require('../js/eb-quality'),
+  EBSyntheticPose: require('../js/eb-synthetic-pose'),
+};
+
+const FAILURES = {
+  missing: () => Promise.resolve({ ok: false, status: 404, json: () => Promise.resolve({ error: 'not found' }) }),
+  unreachable: () => Promise.reject(new Error('Failed to fetch')),
+};
+
+// p5/ml5/DOM stand-in; `calls` counts the calls made through each global name
+function createStandIns(calls) {
+  const anything = new Proxy(function () {}, {
+    get: (t, k) => (k === Symbol.toPrimitive ? () => 0 : k === 'then' ? undefined : anything),
+    apply: () => anything,
+    construct: () => anything,
+  });
+  const named = new Map();
+  return name => {
+    if (!named.has(name)) {
+      named.set(name, new Proxy(anything, {
+        apply: () => { calls[name] = (calls[name] || 0) + 1; return anything; },
+      }));
+    }
+    return named.get(name);
+  };
+}
+
+async function run(file, failure) {
+  const calls = {};
+  const warnings = [];
+  const standIn = createStandIns(calls);
+  const page = {
+    ...MODULES,
+    console: { ...console, log: () => {}, warn: (...args) => warnings.push(args.join(' ')) },
+    location: { search: '?tuning=no-such-profile&render=2d' },
+    fetch: FAILURES[failure],
+  };
+  const context = vm.createContext(new Proxy(page, {
+    has: () => true,
+    get: (t, k) => (k in t ? t[k] : k in globalThis ? globalThis[k] : standIn(k)),
+  }));
+  page.window = context;
+  page.self = context;
+
+  const problems = [];
+  try {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    // p5 waits on everything preload() loads, and a missing profile never arrives
+    if ('preload' in page) problems.push('preload() can hold p5 on "Loading..."');
+    // p5: setup(), then one draw() even after noLoop(), then draw() per frame while looping
+    context.setup();
+    context.draw();
+    if (calls.text) problems.push('draw() ran before the sketch started');
+    await new Promise(resolve => setImmediate(resolve));
+    if (!warnings.some(w => w.includes('no-such-profile'))) problems.push('no warning about the profile');
+    if (!calls.loop) problems.push('loop() was not called, p5 would not keep drawing');
+    for (let frame = 0; frame < 3; frame++) context.draw();
+    if (!calls.text) problems.push('draw() never got past the start');
+  } catch (err) {
+    problems.push(err.stack.split('\n').slice(0, 2).join(' '));
+  }
+  return { label: `${file} (${failure} profile)`, problems };
+}
+
+async function main() {
+  const files = process.argv.slice(2).length ? process.argv.slice(2) : ['sketch.js', 'js/sketch.js'];
+  const checks = [];
+  for (const file of files) {
+    for (const failure of Object.keys(FAILURES)) checks.push(await run(file, failure));
+  }
+  checks.forEach(({ label, problems }) => console.log(problems.length ? `❌ ${label}: ${problems.join('; ')}` : `✅ ${label}: reaches draw()`));
+  const failed = checks.filter(c => c.problems.length);
+  console.log(failed.length ? `❌ ${failed.length} startup(s) off` : `✅ ${checks.length} startup(s) reach draw()`);
+  process.exit(failed.length ? 1 : 0);
+}
+
+main();
@@ -1,23 +1,472 @@
 // server.js
+// One process for the kiosk: serves control.html, display.html, js/, fonts/
+// and the bundled libraries over HTTP, answers GET /healthz, and hosts the
+// WebSocket relay between the iPad control and the display on the same port.
+// Settings come from eb.config.json / environment (see server/config.js).
+//
+// Clients join an installation room via the connection URL:
+//   ws://<host>:<port>/?install=<id>    (defaults to "default")
+// and then declare a role with a handshake:
+//   { "v": 1, "type": "hello", "role": "control" | "display" | "observer" }
+// Every message must match js/eb-protocol.js; malformed ones are logged and
+// answered with an { "type": "error" } instead of being relayed. Messages are
+// routed by type from one role to the other inside the room (see the from/to
+// of each message in the protocol); nothing is echoed back to its sender.
+// Observers get a read-only copy of everything routed in their room.
+//
+// The relay also remembers the last sliders/tracking/orientation/echo, TUNE edits and
+// layer stack/toggles of each installation and replays it as a single { "type": "state" } message after a
+// client's hello, so a reloaded iPad or restarted display comes back in sync. An installation's state
+// is dropped once its room has stayed empty for stateTtlMs.
+//
+// Every HEARTBEAT_MS the relay pings all sockets, terminates those that did
+// not answer the previous ping (e.g. an iPad that dropped off Wi-Fi), and
+// sends controls/observers a { "type": "link" } report with their round trip
+// and whether a display is present in their installation.
+//
+// With "record": true every routed message is also written to one NDJSON file
+// per session (server/recorder.js), listed at GET /recordings. A control can
+// play one back into its installation's display with { "type": "replay" }
+// (server/replay.js); progress comes back as { "type": "replayStatus" }.
+//
+// Named tuning profiles (server/tuning.js) are JSON files in tuningDir, served
+// at /tuning. A control switches its installation to one with
+// { "type": "loadTuning", "name" }; the relay answers the whole room with
+// { "type": "tuning", "name", "tune" } and remembers it in the state.
+const fs = require('fs');
+const http = require('http');
 const WebSocket = require('ws');
-const wss = new WebSocket.Server({ port: 8080 });
+const Protocol = require('./js/eb-protocol');
+const { loadConfig } = require('./server/config');
+const { createStaticHandler } = require('./server/static');
+const { SessionRecorder, listRecordings, recordingPath } = require('./server/recorder');
+const { SessionReplay, loadRecording } = require('./server/replay');
+const Tuning = require('./server/tuning');
 
-console.log("✅ WebSocket server running on ws://localhost:8080");
+const config = loadConfig();
+const serveStatic = createStaticHandler(config.root);
+const startedAt = Date.now();
 
-wss.on('connection', ws => {
-  console.log("Client connected");
+const recorder = config.record
+  ? new SessionRecorder({ dir: config.recordingsDir, maxFiles: config.recordMaxFiles, maxBytes: config.recordMaxBytes })
+  : null;
 
-ws.on('message', (message) => {
-  console.log('Received:', message.toString()); // Convert Buffer → string
+// A request that throws is answered 500 and logged; it never takes the relay down
+const server = http.createServer((req, res) => {
+  let url;
+  try { url = new URL(req.url, 'http://localhost'); } catch { return sendJson(res, 400, { ok: false, error: 'bad request URL' }); }
+  const { pathname, searchParams } = url;
+  try {
+    if (pathname === '/healthz') return healthz(res);
+    if (pathname === '/recordings' || pathname.startsWith('/recordings/')) return recordings(req, res, pathname, searchParams);
+    if (pathname === '/tuning' || pathname.startsWith('/tuning/')) return tuning(req, res, pathname);
+    serveStatic(req, res);
+  } catch (err) {
+    console.warn(`⚠️  ${req.method} ${pathname}: ${err.message}`);
+    if (!res.headersSent) sendJson(res, 500, { ok: false, error: err.message });
+    else res.destroy();
+  }
+});
+const wss = new WebSocket.Server({ server });
 
-  // Send as plain text so browsers don't see a Blob
-  wss.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message.toString()); // Force UTF‑8 string
+const DEFAULT_INSTALL = 'default';
+const HEARTBEAT_MS = config.heartbeatMs;
+const rooms = new Map(); // install id → Set<WebSocket>
+const states = new Map(); // install id → last known state (outlives the room by stateTtlMs)
+const forgetTimers = new Map(); // install id → timer that drops the state of an empty room
+const replays = new Map(); // install id → SessionReplay
+
+server.listen(config.port, config.host, () => {
+  console.log(`✅ Energy Bodies running on http://localhost:${config.port} (control.html, display.html, ws://…/?install=<id>)`);
+  if (recorder) console.log(`⏺  Recording sessions to ${config.recordingsDir}`);
+});
+
+// Flush open recordings on Ctrl+C / service stop
+['SIGINT', 'SIGTERM'].forEach(sig => process.on(sig, () => {
+  if (recorder) recorder.closeAll();
+  process.exit(0);
+}));
+
+function installFromUrl(reqUrl) {
+  try {
+    const id = new URL(reqUrl || '/', 'http://localhost').searchParams.get('install');
+    const clean = (id || '').trim().replace(/[^\w.-]/g, '').slice(0, 64);
+    return clean || DEFAULT_INSTALL;
+  } catch {
+    return DEFAULT_INSTALL;
+  }
+}
+
+function joinRoom(ws, install) {
+  clearTimeout(forgetTimers.get(install));
+  forgetTimers.delete(install);
+  if (!rooms.has(install)) rooms.set(install, new Set());
+  rooms.get(install).add(ws);
+  ws.install = install;
+}
+
+function leaveRoom(ws) {
+  const room = rooms.get(ws.install);
+  if (!room) return;
+  room.delete(ws);
+  if (room.size === 0) {
+    rooms.delete(ws.install);
+    forgetState(ws.install);
+  }
+}
+
+// Drop the state of an installation nobody rejoined within stateTtlMs, so ids that come and go don't pile up
+function forgetState(install) {
+  if (!states.has(install)) return;
+  const timer = setTimeout(() => {
+    forgetTimers.delete(install);
+    if (!rooms.has(install)) states.delete(install);
+  }, config.stateTtlMs);
+  timer.unref();
+  forgetTimers.set(install, timer);
+}
+
+function stateFor(install) {
+  if (!states.has(install)) {
+    states.set(install, {
+      sliders: null, tracking: null, orientation: null, echo: null, tune: null, tuning: null, layers: null, layerEdits: null
+    });
+  }
+  return states.get(install);
+}
+
+function mergeValues(prev, msg) {
+  return {
+    emotion: { ...(prev?.emotion || {}), ...(msg.emotion || {}) },
+    region: { ...(prev?.region || {}), ...(msg.region || {}) }
+  };
+}
+
+// Fold a routed message into the installation's cached state
+function remember(install, msg) {
+  const state = stateFor(install);
+  switch (msg.type) {
+    case 'sliders': state.sliders = mergeValues(state.sliders, msg); break;
+    case 'echo': state.echo = mergeValues(state.echo, msg); break;
+    case 'tracking': state.tracking = !!msg.on; break;
+    case 'orientation': state.orientation = msg.value === 'portrait' ? 'portrait' : 'landscape'; break;
+    case 'startTracking': state.tracking = true; break;
+    // Tuning outlives participants, so reset keeps it
+    case 'tune': state.tune = { ...(state.tune || {}), [msg.path]: msg.value ?? null }; break;
+    // ...and so do the layer stack and its toggles
+    case 'layers': state.layers = msg.layers; break;
+    case 'layer': {
+      const edit = { ...(state.layerEdits?.[msg.id] || {}) };
+      if (typeof msg.enabled === 'boolean') edit.enabled = msg.enabled;
+      if (typeof msg.opacity === 'number') edit.opacity = msg.opacity;
+      state.layerEdits = { ...(state.layerEdits || {}), [msg.id]: edit };
+      break;
+    }
+    case 'action':
+      if (msg.action === 'start') state.tracking = true;
+      if (msg.action === 'stop') state.tracking = false;
+      if (msg.action === 'reset') { state.sliders = null; state.echo = null; state.tracking = false; }
+      break;
+    // Only the server sends these: a replay seeking restores the session's sliders and tracking
+    case 'state':
+      if ('sliders' in msg) state.sliders = msg.sliders;
+      if ('tracking' in msg) state.tracking = !!msg.tracking;
+      break;
+  }
+}
+
+function replayState(ws) {
+  const state = stateFor(ws.install);
+  if (Object.values(state).every(v => v === null)) return;
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(Protocol.make('state', state)));
+  }
+}
+
+function sendTo(install, role, text, except) {
+  const room = rooms.get(install);
+  if (!room) return;
+  room.forEach(client => {
+    if (client === except || client.readyState !== WebSocket.OPEN) return;
+    if (client.role === role || client.role === 'observer') {
+      client.send(text); // Force UTF‑8 string
     }
   });
-});
+}
+
+function sendToRoom(install, text) {
+  const room = rooms.get(install);
+  if (!room) return;
+  room.forEach(client => {
+    if (client.readyState === WebSocket.OPEN && client.role) client.send(text);
+  });
+}
+
+function reportLink(install) {
+  const room = rooms.get(install);
+  if (!room) return;
+  const displays = [...room].filter(c => c.role === 'display');
+  const measured = displays.filter(c => c.latencyMs != null);
+  const displayLatencyMs = measured.length ? Math.max(...measured.map(c => c.latencyMs)) : undefined;
+  room.forEach(client => {
+    if (client.readyState !== WebSocket.OPEN) return;
+    if (client.role !== 'control' && client.role !== 'observer') return;
+    client.send(JSON.stringify(Protocol.make('link', {
+      intervalMs: HEARTBEAT_MS,
+      latencyMs: client.latencyMs ?? undefined,
+      displays: displays.length,
+      displayLatencyMs
+    })));
+  });
+}
+
+function heartbeat() {
+  wss.clients.forEach(ws => {
+    if (!ws.isAlive) {
+      console.warn(`[${ws.install}] ${ws.role || 'client'} missed heartbeat, terminating`);
+      return ws.terminate(); // 'close' handler cleans up the room
+    }
+    ws.isAlive = false;
+    ws.pingAt = Date.now();
+    ws.ping();
+  });
+  rooms.forEach((room, install) => reportLink(install));
+}
+setInterval(heartbeat, HEARTBEAT_MS);
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+// GET  /recordings                  → list of session files (newest first)
+// GET  /recordings/<name>.ndjson    → download one session
+// POST /recordings/rotate?install=… → close the open file and start a new one
+// Listing and downloads also work with recording off, for replaying old sessions.
+function recordings(req, res, pathname, searchParams) {
+  if (pathname === '/recordings' && req.method === 'GET') {
+    return sendJson(res, 200, { ok: true, recordings: recorder ? recorder.list() : listRecordings(config.recordingsDir) });
+  }
+  if (pathname === '/recordings/rotate' && req.method === 'POST') {
+    if (!recorder) return sendJson(res, 404, { ok: false, error: 'recording is disabled (set "record": true or EB_RECORD=1)' });
+    const install = installFromUrl(`/?install=${searchParams.get('install') || ''}`);
+    return sendJson(res, 200, { ok: true, name: recorder.rotate(install) });
+  }
+  if (req.method !== 'GET') return sendJson(res, 405, { ok: false, error: 'GET only' });
+  const name = decodeName(pathname.slice('/recordings/'.length));
+  if (name === null) return sendJson(res, 400, { ok: false, error: 'recording name is not valid URL encoding' });
+  const file = recordingPath(config.recordingsDir, name);
+  if (!file) return sendJson(res, 404, { ok: false, error: 'no such recording' });
+  const stream = fs.createReadStream(file);
+  stream.on('error', err => {
+    console.warn(`⚠️  recording ${name}: ${err.message}`);
+    if (!res.headersSent) sendJson(res, 404, { ok: false, error: 'no such recording' });
+    else res.destroy();
+  });
+  stream.on('open', () => {
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-store' });
+    stream.pipe(res);
+  });
+}
+
+// A name from a URL path segment, or null when it is not valid percent-encoding (e.g. "%E0")
+function decodeName(segment) {
+  try { return decodeURIComponent(segment); } catch { return null; }
+}
+
+// Parsed JSON request body, or null when it is not JSON (or over maxBytes)
+function readJsonBody(req, maxBytes = 64 * 1024) {
+  return new Promise((resolve) => {
+    let text = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      text += chunk;
+      if (text.length > maxBytes) { resolve(null); req.destroy(); }
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(text)); } catch { resolve(null); }
+    });
+    req.on('error', () => resolve(null));
+  });
+}
+
+// GET    /tuning          → saved tuning profiles, by name
+// GET    /tuning/<name>   → { name, tune } ("defaults" is the shipped TUNE: no changes)
+// PUT    /tuning/<name>   → save { tune: { path: value } }
+// DELETE /tuning/<name>   → remove a saved profile
+// A failure inside answers 500 instead of escaping as an unhandled rejection.
+async function tuning(req, res, pathname) {
+  try {
+    await tuningRequest(req, res, pathname);
+  } catch (err) {
+    console.warn(`⚠️  ${req.method} ${pathname}: ${err.message}`);
+    if (!res.headersSent) sendJson(res, 500, { ok: false, error: err.message });
+  }
+}
+
+async function tuningRequest(req, res, pathname) {
+  if (pathname === '/tuning') {
+    if (req.method !== 'GET') return sendJson(res, 405, { ok: false, error: 'GET only' });
+    return sendJson(res, 200, { ok: true, profiles: Tuning.listProfiles(config.tuningDir) });
+  }
+  const name = decodeName(pathname.slice('/tuning/'.length));
+  if (name === null) return sendJson(res, 400, { ok: false, error: 'profile name is not valid URL encoding' });
+  if (req.method === 'GET') {
+    const profile = Tuning.readProfile(config.tuningDir, name);
+    return profile ? sendJson(res, 200, { ok: true, ...profile }) : sendJson(res, 404, { ok: false, error: 'no such tuning profile' });
+  }
+  if (req.method === 'PUT') {
+    const body = await readJsonBody(req);
+    if (!body) return sendJson(res, 400, { ok: false, error: 'body must be JSON { "tune": { path: value } }' });
+    const problems = Tuning.saveProfile(config.tuningDir, name, body.tune);
+    if (problems.length) return sendJson(res, 400, { ok: false, error: problems.join('; ') });
+    console.log(`💾 Saved tuning profile ${name} (${Object.keys(body.tune).length} changes)`);
+    return sendJson(res, 200, { ok: true, name });
+  }
+  if (req.method === 'DELETE') {
+    return Tuning.deleteProfile(config.tuningDir, name)
+      ? sendJson(res, 200, { ok: true, name })
+      : sendJson(res, 404, { ok: false, error: 'no such tuning profile' });
+  }
+  sendJson(res, 405, { ok: false, error: 'GET, PUT or DELETE' });
+}
+
+function healthz(res) {
+  const installs = {};
+  rooms.forEach((room, install) => {
+    const roles = { control: 0, display: 0, observer: 0, pending: 0 };
+    room.forEach(c => { roles[c.role || 'pending']++; });
+    installs[install] = roles;
+  });
+  sendJson(res, 200, {
+    ok: true,
+    uptimeS: Math.round((Date.now() - startedAt) / 1000),
+    clients: wss.clients.size,
+    recording: !!recorder,
+    installs
+  });
+}
+
+function reject(ws, msg, errors) {
+  const ref = typeof msg?.type === 'string' ? msg.type : undefined;
+  console.warn(`[${ws.install}] rejected ${ref || 'message'} from ${ws.role || 'anonymous client'}: ${errors.join('; ')}`);
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(Protocol.make('error', { reason: errors.join('; '), ref })));
+  }
+}
+
+function handshake(ws, msg) {
+  ws.role = msg.role;
+  console.log(`Client is ${ws.role} [${ws.install}]`);
+  replayState(ws);
+  reportLink(ws.install);
+  const replay = replays.get(ws.install);
+  if (replay) ws.send(JSON.stringify(Protocol.make('replayStatus', replay.status())));
+}
+
+function stopReplay(install) {
+  const replay = replays.get(install);
+  if (!replay) return;
+  replays.delete(install);
+  replay.stop();
+}
 
+// Drive the recorded-session replay of the sender's installation
+async function replay(ws, msg) {
+  const { install } = ws;
+  const current = replays.get(install);
 
-  ws.on('close', () => console.log("Client disconnected"));
+  if (msg.command === 'start') {
+    const file = msg.name && recordingPath(config.recordingsDir, msg.name);
+    if (!file) return reject(ws, msg, [`no recording named "${msg.name || ''}"`]);
+    let entries;
+    try {
+      entries = await loadRecording(file);
+    } catch (err) {
+      console.warn(`⚠️  [${install}] could not read recording ${msg.name}: ${err.message}`);
+      return reject(ws, msg, [`could not read recording "${msg.name}"`]);
+    }
+    if (!entries.length) return reject(ws, msg, [`${msg.name} has nothing to replay`]);
+    stopReplay(install);
+    const session = new SessionReplay({
+      name: msg.name,
+      entries,
+      speed: msg.speed || 1,
+      // Through remember(), so a display that reconnects mid-replay gets the replayed state
+      send: m => {
+        remember(install, m);
+        sendTo(install, 'display', JSON.stringify(m));
+      },
+      onStatus: status => sendToRoom(install, JSON.stringify(Protocol.make('replayStatus', status)))
+    });
+    replays.set(install, session);
+    console.log(`▶️  [${install}] replaying ${msg.name} (${entries.length} messages)`);
+    return session.play(msg.atMs || 0);
+  }
+
+  if (!current) return reject(ws, msg, ['no replay running']);
+  switch (msg.command) {
+    case 'pause': return current.pause();
+    case 'resume': return current.resume();
+    case 'stop': return stopReplay(install);
+    case 'seek':
+      if (msg.atMs == null) return reject(ws, msg, ['replay.atMs is required for seek']);
+      return current.seek(msg.atMs);
+    case 'speed':
+      if (!(msg.speed > 0)) return reject(ws, msg, ['replay.speed must be > 0']);
+      return current.setSpeed(msg.speed);
+  }
+}
+
+// Switch the sender's installation to a saved tuning profile (or back to the defaults)
+function loadTuning(ws, msg) {
+  const profile = Tuning.readProfile(config.tuningDir, msg.name);
+  if (!profile) return reject(ws, msg, [`no tuning profile named "${msg.name}"`]);
+  const state = stateFor(ws.install);
+  state.tuning = profile.name;
+  state.tune = { ...profile.tune };
+  console.log(`🎛  [${ws.install}] tuning profile ${profile.name} (${Object.keys(profile.tune).length} changes)`);
+  sendToRoom(ws.install, JSON.stringify(Protocol.make('tuning', profile)));
+}
+
+function route(ws, msg, text) {
+  const rule = Protocol.route(msg.type);
+  if (ws.role !== rule.from) {
+    return reject(ws, msg, [`"${msg.type}" is sent by ${rule.from}, not ${ws.role || 'a client without hello'}`]);
+  }
+  if (msg.type !== 'pose') console.log(`Received [${ws.install}] ${ws.role}:`, text);
+  if (rule.to === 'server') return msg.type === 'loadTuning' ? loadTuning(ws, msg) : replay(ws, msg);
+  remember(ws.install, msg);
+  // Send as plain text so browsers don't see a Blob
+  sendTo(ws.install, rule.to, text, ws);
+  // Don't record what a replay is feeding back through the display
+  if (recorder && !replays.has(ws.install)) recorder.record(ws.install, ws.role, msg);
+}
+
+wss.on('connection', (ws, req) => {
+  joinRoom(ws, installFromUrl(req.url));
+  ws.role = null; // set by the hello handshake
+  ws.isAlive = true;
+  ws.latencyMs = null;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+    ws.latencyMs = Date.now() - ws.pingAt;
+  });
+  console.log(`Client connected [${ws.install}] (${rooms.get(ws.install).size} in room)`);
+
+  ws.on('message', (message) => {
+    const text = message.toString(); // Convert Buffer → string
+    const { msg, errors } = Protocol.parse(text);
+    if (errors.length) return reject(ws, msg, errors);
+
+    if (msg.type === 'hello') return handshake(ws, msg);
+    route(ws, msg, text);
+  });
+
+  ws.on('close', () => {
+    leaveRoom(ws);
+    console.log(`Client disconnected [${ws.install}] ${ws.role || ''}`);
+    if (!rooms.has(ws.install)) stopReplay(ws.install);
+    if (ws.role === 'display') reportLink(ws.install);
+  });
 });
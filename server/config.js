@@ -0,0 +1,62 @@
+// server/config.js
+// Relay + static server settings. Defaults below, overridden by a JSON config
+// file (eb.config.json next to server.js, or the path in EB_CONFIG), then by
+// environment variables:
+//   EB_HOST / EB_PORT (or PORT) / EB_HEARTBEAT_MS / EB_STATE_TTL_MS / EB_RECORD /
+//   EB_RECORDINGS_DIR / EB_TUNING_DIR
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const DEFAULTS = {
+  host: '0.0.0.0',
+  port: 8080,
+  heartbeatMs: 5000,
+  // How long the relay keeps an installation's state once its last client left
+  stateTtlMs: 30 * 60 * 1000,
+  // Session recorder (server/recorder.js)
+  record: false,
+  recordingsDir: 'recordings',
+  recordMaxFiles: 200,
+  recordMaxBytes: 50 * 1024 * 1024,
+  // Named tuning profiles (server/tuning.js)
+  tuningDir: 'tuning'
+};
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`❌ Could not read config ${file}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function envNumber(...names) {
+  for (const name of names) {
+    const n = Number(process.env[name]);
+    if (process.env[name] !== undefined && Number.isFinite(n)) return n;
+  }
+  return undefined;
+}
+
+function loadConfig() {
+  const file = process.env.EB_CONFIG ? path.resolve(process.env.EB_CONFIG) : path.join(ROOT, 'eb.config.json');
+  const config = { ...DEFAULTS, ...readConfigFile(file) };
+
+  if (process.env.EB_HOST) config.host = process.env.EB_HOST;
+  config.port = envNumber('EB_PORT', 'PORT') ?? config.port;
+  config.heartbeatMs = envNumber('EB_HEARTBEAT_MS') ?? config.heartbeatMs;
+  config.stateTtlMs = envNumber('EB_STATE_TTL_MS') ?? config.stateTtlMs;
+  if (process.env.EB_RECORD !== undefined) config.record = /^(1|true|yes|on)$/i.test(process.env.EB_RECORD);
+  if (process.env.EB_RECORDINGS_DIR) config.recordingsDir = process.env.EB_RECORDINGS_DIR;
+  config.recordingsDir = path.resolve(ROOT, config.recordingsDir);
+  if (process.env.EB_TUNING_DIR) config.tuningDir = process.env.EB_TUNING_DIR;
+  config.tuningDir = path.resolve(ROOT, config.tuningDir);
+  config.root = ROOT;
+  return config;
+}
+
+module.exports = { loadConfig, DEFAULTS };
@@ -0,0 +1,121 @@
+// server/recorder.js
+// Optional NDJSON recorder for participant sessions. Every message the relay
+// routes is written with a server timestamp to one file per session:
+//   recordings/<install>_<started>.ndjson
+//   {"ts":1729290000000,"install":"east","from":"control","msg":{…}}
+// A session opens on `beginSession` (always a new file) or `action: start`
+// (only if none is open) and closes after `action: reset`. Files roll over to
+// a new part once they reach maxBytes, and only the newest maxFiles are kept.
+const fs = require('fs');
+const path = require('path');
+
+const FILE_RE = /^[\w.-]+\.ndjson$/;
+
+function stamp(ts) {
+  return new Date(ts).toISOString().replace(/[:.]/g, '-');
+}
+
+// Recordings in dir, newest first; `active` marks files still being written
+function listRecordings(dir, active = new Set()) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => FILE_RE.test(name))
+    .map(name => {
+      const stat = fs.statSync(path.join(dir, name));
+      return {
+        name,
+        install: name.replace(/_\d{4}-\d\d-\d\dT.*$/, ''),
+        bytes: stat.size,
+        modified: stat.mtime.toISOString(),
+        active: active.has(name)
+      };
+    })
+    .sort((a, b) => b.modified.localeCompare(a.modified));
+}
+
+// Absolute path of a recording, or null if the name is not a recording in dir
+function recordingPath(dir, name) {
+  if (!FILE_RE.test(name)) return null;
+  const file = path.join(dir, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+class SessionRecorder {
+  constructor({ dir, maxFiles = 200, maxBytes = 50 * 1024 * 1024 }) {
+    this.dir = dir;
+    this.maxFiles = maxFiles;
+    this.maxBytes = maxBytes;
+    this.open = new Map(); // install → { name, stream, bytes, part, startedAt }
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  record(install, from, msg) {
+    const startsSession = msg.type === 'beginSession' || (msg.type === 'action' && msg.action === 'start');
+    if (msg.type === 'beginSession') this.close(install);
+    if (startsSession && !this.open.has(install)) this.start(install);
+
+    const file = this.open.get(install);
+    if (!file) return;
+
+    const line = JSON.stringify({ ts: Date.now(), install, from, msg }) + '\n';
+    file.stream.write(line);
+    file.bytes += Buffer.byteLength(line);
+
+    if (msg.type === 'action' && msg.action === 'reset') this.close(install);
+    else if (file.bytes >= this.maxBytes) this.rollOver(install);
+  }
+
+  start(install, startedAt = Date.now(), part = 1) {
+    const name = `${install}_${stamp(startedAt)}${part > 1 ? `_part${part}` : ''}.ndjson`;
+    const stream = fs.createWriteStream(path.join(this.dir, name), { flags: 'a' });
+    stream.on('error', err => console.error(`❌ [REC] ${name}: ${err.message}`));
+    this.open.set(install, { name, stream, bytes: 0, part, startedAt });
+    console.log(`[REC] ${install} → ${name}`);
+    this.prune();
+    return name;
+  }
+
+  close(install) {
+    const file = this.open.get(install);
+    if (!file) return null;
+    file.stream.end();
+    this.open.delete(install);
+    console.log(`[REC] closed ${file.name} (${file.bytes} bytes)`);
+    return file.name;
+  }
+
+  // Continue the same session in a new file
+  rollOver(install) {
+    const file = this.open.get(install);
+    if (!file) return null;
+    this.close(install);
+    return this.start(install, file.startedAt, file.part + 1);
+  }
+
+  // Manual rotation: close whatever is open and start a fresh file
+  rotate(install) {
+    this.close(install);
+    return this.start(install);
+  }
+
+  closeAll() {
+    [...this.open.keys()].forEach(install => this.close(install));
+  }
+
+  list() {
+    return listRecordings(this.dir, new Set([...this.open.values()].map(f => f.name)));
+  }
+
+  resolve(name) {
+    return recordingPath(this.dir, name);
+  }
+
+  prune() {
+    const stale = this.list().filter(f => !f.active).slice(Math.max(0, this.maxFiles - this.open.size));
+    stale.forEach(f => {
+      try { fs.unlinkSync(path.join(this.dir, f.name)); } catch (err) { console.warn(`[REC] could not prune ${f.name}: ${err.message}`); }
+    });
+  }
+}
+
+module.exports = { SessionRecorder, listRecordings, recordingPath };
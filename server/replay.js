@@ -0,0 +1,176 @@
+// server/replay.js
+// Plays a recorded session (see server/recorder.js) back into a display at
+// the original timing: the recording's pose, sliders and action messages are
+// re-sent in order, with the gaps between them divided by `speed`. Seeking
+// resets the display and then restores the sliders/tracking the session had
+// reached at that point, so visuals pick up mid-session instead of from zero.
+const fs = require('fs');
+const readline = require('readline');
+const Protocol = require('../js/eb-protocol');
+
+const REPLAYED = ['pose', 'sliders', 'action'];
+const STATUS_EVERY_MS = 500; // progress reports while playing
+const MIN_SPEED = 0.1;
+const MAX_SPEED = 8;
+
+// Resolves [{ at, msg }] with `at` in ms from the first line; unreadable lines are skipped.
+// Streamed line by line, so a long recording doesn't hold up the server while it loads.
+async function loadRecording(file) {
+  const entries = [];
+  let first = null;
+  const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try { entry = JSON.parse(line); } catch { continue; }
+    if (typeof entry.ts !== 'number' || !entry.msg) continue;
+    if (first === null) first = entry.ts;
+    if (!REPLAYED.includes(entry.msg.type)) continue;
+    if (Protocol.validate(entry.msg).length) continue;
+    entries.push({ at: entry.ts - first, msg: entry.msg });
+  }
+  return entries;
+}
+
+// Sliders and tracking as they stood just before entries[index]
+function stateAt(entries, index) {
+  let sliders = null;
+  let tracking = false;
+  for (let i = 0; i < index; i++) {
+    const { msg } = entries[i];
+    if (msg.type === 'sliders') {
+      sliders = {
+        emotion: { ...(sliders?.emotion || {}), ...msg.emotion },
+        region: { ...(sliders?.region || {}), ...msg.region }
+      };
+    }
+    if (msg.type === 'action') {
+      if (msg.action === 'start') tracking = true;
+      if (msg.action === 'stop') tracking = false;
+      if (msg.action === 'reset') { sliders = null; tracking = false; }
+    }
+  }
+  return { sliders, tracking };
+}
+
+function clampSpeed(speed) {
+  return Math.max(MIN_SPEED, Math.min(MAX_SPEED, speed));
+}
+
+class SessionReplay {
+  // send(msg) delivers one message to the display; onStatus(status) reports progress
+  constructor({ name, entries, send, onStatus, speed = 1 }) {
+    this.name = name;
+    this.entries = entries;
+    this.send = send;
+    this.onStatus = onStatus;
+    this.state = 'paused'; // playing | paused | ended | idle
+    this.speed = clampSpeed(speed);
+    this.index = 0;
+    this.baseMs = 0; // position when the clock was last anchored…
+    this.baseAt = Date.now(); // …and the wall time it was anchored at
+    this.timer = null;
+    this.lastStatusAt = 0;
+  }
+
+  get durationMs() {
+    return this.entries.length ? this.entries[this.entries.length - 1].at : 0;
+  }
+
+  get positionMs() {
+    if (this.state !== 'playing') return this.baseMs;
+    return Math.min(this.durationMs, this.baseMs + (Date.now() - this.baseAt) * this.speed);
+  }
+
+  status() {
+    if (this.state === 'idle') return { state: 'idle' };
+    return {
+      state: this.state,
+      name: this.name,
+      positionMs: Math.round(this.positionMs),
+      durationMs: this.durationMs,
+      speed: this.speed
+    };
+  }
+
+  play(atMs = 0) {
+    this.seek(atMs);
+    this.resume();
+  }
+
+  pause() {
+    if (this.state !== 'playing') return;
+    this.anchor(this.positionMs);
+    this.state = 'paused';
+    clearTimeout(this.timer);
+    this.report();
+  }
+
+  resume() {
+    if (this.state === 'playing' || this.state === 'idle') return;
+    if (this.state === 'ended') this.seek(0);
+    this.anchor(this.baseMs);
+    this.state = 'playing';
+    this.report();
+    this.tick();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.state = 'idle';
+    this.report();
+  }
+
+  seek(atMs) {
+    if (this.state === 'idle') return;
+    const at = Math.max(0, Math.min(this.durationMs, atMs));
+    this.index = this.entries.findIndex(e => e.at >= at);
+    if (this.index < 0) this.index = this.entries.length;
+
+    const { sliders, tracking } = stateAt(this.entries, this.index);
+    this.send(Protocol.make('action', { action: 'reset' }));
+    this.send(Protocol.make('state', { sliders, tracking }));
+
+    this.anchor(at);
+    if (this.state === 'ended') this.state = 'paused';
+    this.report();
+    if (this.state === 'playing') this.tick();
+  }
+
+  setSpeed(speed) {
+    this.anchor(this.positionMs);
+    this.speed = clampSpeed(speed);
+    this.report();
+    if (this.state === 'playing') this.tick();
+  }
+
+  anchor(positionMs) {
+    this.baseMs = positionMs;
+    this.baseAt = Date.now();
+  }
+
+  report() {
+    this.lastStatusAt = Date.now();
+    this.onStatus(this.status());
+  }
+
+  // Send everything that is due, then sleep until the next message (or the next progress report)
+  tick() {
+    clearTimeout(this.timer);
+    if (this.state !== 'playing') return;
+    const position = this.positionMs;
+    while (this.index < this.entries.length && this.entries[this.index].at <= position) {
+      this.send(this.entries[this.index++].msg);
+    }
+    if (this.index >= this.entries.length) {
+      this.anchor(this.durationMs);
+      this.state = 'ended';
+      return this.report();
+    }
+    if (Date.now() - this.lastStatusAt >= STATUS_EVERY_MS) this.report();
+    const wait = (this.entries[this.index].at - position) / this.speed;
+    this.timer = setTimeout(() => this.tick(), Math.max(0, Math.min(wait, STATUS_EVERY_MS)));
+  }
+}
+
+module.exports = { SessionReplay, loadRecording };
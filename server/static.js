@@ -0,0 +1,96 @@
+// server/static.js
+// Serves the pages, scripts, fonts and bundled libraries from the repo root so
+// the relay and the kiosk pages run from one process. Only the paths listed in
+// PUBLIC are reachable; everything else (server code, node_modules, …) is 404.
+const fs = require('fs');
+const path = require('path');
+
+const PUBLIC = [
+  'index.html', 'control.html', 'display.html',
+  'sketch.js', 'style.css',
+  'p5.min.js', 'p5.sound.min.js', 'ml5.min.js',
+  'js/', 'fonts/', 'media/'
+];
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.otf': 'font/otf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime'
+};
+
+function isPublic(rel) {
+  return PUBLIC.some(p => (p.endsWith('/') ? rel.startsWith(p) : rel === p));
+}
+
+function notFound(res) {
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('Not found');
+}
+
+// Single "bytes=start-end" ranges, enough for <video> seeking and looping
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  let start = m[1] === '' ? size - Number(m[2]) : Number(m[1]);
+  let end = (m[1] === '' || m[2] === '') ? size - 1 : Number(m[2]);
+  start = Math.max(0, start);
+  end = Math.min(end, size - 1);
+  return start <= end ? { start, end } : null;
+}
+
+function createStaticHandler(root) {
+  return function serveStatic(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      return res.end();
+    }
+
+    let rel;
+    try {
+      rel = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).replace(/^\/+/, '');
+    } catch {
+      return notFound(res);
+    }
+    if (rel === '') rel = 'index.html';
+    rel = path.posix.normalize(rel);
+    if (rel.startsWith('..') || !isPublic(rel)) return notFound(res);
+
+    const file = path.join(root, rel);
+    fs.stat(file, (err, stat) => {
+      if (err || !stat.isFile()) return notFound(res);
+
+      const headers = {
+        'Content-Type': MIME[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': 'no-cache'
+      };
+      const range = req.headers.range && parseRange(req.headers.range, stat.size);
+      if (req.headers.range && !range) {
+        res.writeHead(416, { 'Content-Range': `bytes */${stat.size}` });
+        return res.end();
+      }
+
+      if (range) {
+        headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stat.size}`;
+        headers['Content-Length'] = range.end - range.start + 1;
+        res.writeHead(206, headers);
+      } else {
+        headers['Content-Length'] = stat.size;
+        res.writeHead(200, headers);
+      }
+      if (req.method === 'HEAD') return res.end();
+      fs.createReadStream(file, range || {}).pipe(res);
+    });
+  };
+}
+
+module.exports = { createStaticHandler, PUBLIC };
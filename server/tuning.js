@@ -0,0 +1,103 @@
+// server/tuning.js
+// Named tuning profiles: per-venue TUNE settings saved as JSON, one file each:
+//   tuning/<name>.json   {"name":"gallery-dim","saved":"…","tune":{"velocity.fastEMA":0.4,…}}
+// `tune` holds only the constants that differ from js/eb-tune.js, by dotted
+// path (js/eb-tune-edit.js), so a profile keeps following the shipped
+// defaults for everything it does not set. Every value is checked against
+// the shipped TUNE before it is saved or handed out.
+const fs = require('fs');
+const path = require('path');
+const EBTune = require('../js/eb-tune');
+const EBTuneEdit = require('../js/eb-tune-edit');
+
+const NAME_RE = /^[\w-]{1,64}$/;
+const DEFAULTS_NAME = 'defaults'; // the shipped TUNE itself; can not be saved over
+
+// Checks only, never sets: the shipped TUNE stays as it is
+const editor = EBTuneEdit.create(EBTune);
+
+const isObject = x => x !== null && typeof x === 'object' && !Array.isArray(x);
+
+function validName(name) {
+  return NAME_RE.test(name || '') && name !== DEFAULTS_NAME;
+}
+
+// Problems with a { path: value } map, empty when every edit is valid
+function checkTune(tune) {
+  if (!isObject(tune)) return ['tune must be an object of { path: value }'];
+  return Object.entries(tune).map(([p, value]) => editor.check(p, value)).filter(Boolean);
+}
+
+function profilePath(dir, name) {
+  return validName(name) ? path.join(dir, `${name}.json`) : null;
+}
+
+// Profiles in dir, by name; `changes` counts the constants each one sets
+function listProfiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && validName(file.slice(0, -5)))
+    .map(file => {
+      const name = file.slice(0, -5);
+      const profile = readProfile(dir, name);
+      return {
+        name,
+        changes: profile ? Object.keys(profile.tune).length : 0,
+        modified: fs.statSync(path.join(dir, file)).mtime.toISOString(),
+        valid: !!profile
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// { name, tune } of a saved profile (or of the defaults), or null if it is
+// missing or unreadable; constants TUNE no longer has are dropped with a warning
+function readProfile(dir, name) {
+  if (name === DEFAULTS_NAME) return { name, tune: {} };
+  const file = profilePath(dir, name);
+  if (!file || !fs.existsSync(file)) return null;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.warn(`⚠️  tuning profile ${name}: ${err.message}`);
+    return null;
+  }
+  if (!isObject(data) || !isObject(data.tune)) {
+    console.warn(`⚠️  tuning profile ${name}: "tune" must be an object of { path: value }`);
+    return null;
+  }
+  const tune = {};
+  Object.entries(data.tune).forEach(([p, value]) => {
+    const problem = editor.check(p, value);
+    if (problem) console.warn(`⚠️  tuning profile ${name}: ignoring ${problem}`);
+    else tune[p] = value;
+  });
+  return { name, tune };
+}
+
+// Saves a profile; returns the problems instead when it can not. A failing
+// write (full disk, read-only tuningDir, …) is logged and thrown.
+function saveProfile(dir, name, tune) {
+  if (!validName(name)) return [`profile names are letters, digits, - and _ (and not "${DEFAULTS_NAME}")`];
+  const problems = checkTune(tune);
+  if (problems.length) return problems;
+  const body = { name, saved: new Date().toISOString(), tune };
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(profilePath(dir, name), JSON.stringify(body, null, 2) + '\n');
+  } catch (err) {
+    console.warn(`⚠️  tuning profile ${name}: could not save: ${err.message}`);
+    throw new Error(`could not save tuning profile ${name} (${err.code || err.message})`);
+  }
+  return [];
+}
+
+function deleteProfile(dir, name) {
+  const file = profilePath(dir, name);
+  if (!file || !fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
+
+module.exports = { DEFAULTS_NAME, listProfiles, readProfile, saveProfile, deleteProfile, checkTune };
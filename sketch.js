@@ -5,65 +5,14 @@
  - Adds hooks to work with the iPad control + display receiver:
    • window.applySliders(emotion, region)
    • window.startTracking() / window.stopTracking()
+   • window.applyTune(path, value) / window.applyTuneProfile(tune, name) — live TUNE edits from the control
    • Emits pose metrics and tracking state via EnergyBodiesDisplay.* if present
    • Optional echo back of current slider state (so the iPad mirrors renderer truth)
  - Consolidates duplicate print helpers
 ==============================================================================
 */
-const TUNE = {
-  velocity: {
-    kpMinScore: 0.5,
-    vNormInMin: 0.00015,
-    vNormInMax: 0.02,
-    vBlend: 0.5,
-    fastEMA: 0.6,
-    slowEMA: 0.05,
-    angerBurstMin: 0.05,
-    angerBurstMax: 1
-  },
-  emotions: {
-    blendPoseVsSlider: 0.60,
-    anxietyFromVel: { inMin: 0.3, inMax: 1.5, outMin: 0, outMax: 5 },
-    calmFromBalance: { inMin: 0.2, inMax: 50, outMin: 5, outMax: 0 },
-    sadnessFromAvgY: { inMin: 0, inMax: null, outMin: 0, outMax: 5 },
-    fearFromLean: { inMin: 0, inMax: 200, outMin: 0, outMax: 5 },
-    joyFromStructure: { inMin: 0, inMax: 1, outMin: 0, outMax: 5 }
-  },
-  follow: {
-    enabledFreshMs: 300,
-    axis: 'both',
-    lerp: { tx: 0.20, ty: 0.20, rot: 0.18, sc: 0.12 }
-  },
-  coupling: {
-    armsHands: { wristSpreadMin: 2, wristSpreadMax: 5.0, lerp: 0.12 },
-    spine: { swayRange: 1.0, lerp: 0.20 },
-
-    head: { velMin: 0.00009, velMax: 0.008, lerp: 0.20 },
-    neck: { velMin: 0.0001, velMax: 0.01, lerp: 0.20 },
-
-    chest: { velMin: 0.00005, velMax: 0.010, reachMin: 0.7, reachMax: 2.0, lerp: 0.20 },
-    abdomen: { velMin: 0.00001, velMax: 0.002, torsoMin: 1.2, torsoMax: 2.2, lerp: 0.20 },
-    legsFeet: { velMin: 0.001, velMax: 0.02, ankleSpreadMin: 0.9, ankleSpreadMax: 3.0, lerp: 0.20 }
-  },
-  visuals: {
-    fear: { baseScaleFrom: 3.0, baseScaleTo: 0.6, freqFrom: 0.1, freqTo: 5.0, pulseAmp: 0.05 },
-    anxiety: {
-      spacingChaotic: { from: 40, to: 8 },
-      spacingCalm: { from: 50, to: 20 },
-      lineLenChaotic: { from: 4, to: 12 },
-      lineLenCalm: { from: 20, to: 100 },
-      jitterMax: 25,
-      irregularityMax: 0.4,
-      angleScaleChaotic: 0.02,
-      angleScaleCalm: 0.005,
-      curlMax: 50,
-      alphaMin: 50, alphaMax: 255,
-      minSpacingPx: 14,
-      maxStrokes: 9000
-    },
-    marbles: { gridSpacing: 18, alphaPerUnit: 70 }
-  }
-};
+const TUNE = window.EBTune; // js/eb-tune.js
+const tuneEditor = EBTuneEdit.create(TUNE); // js/eb-tune-edit.js, live edits from the control
 
 console.log("✅ sketch.js (control-integrated) loading...");
 
@@ -73,15 +22,40 @@ let scene, orientationChannel;
 
 // --- GLOBALS ---
 let video, poseNet, poses = [];
-let __prevKeypoints = null;         // global previous keypoints (for velocity)
-let __prevByPart = new Map();       // per-part previous pos cache for region motion
 let __lastPoseEmitAt = 0;
+let replayActive = false;          // a recorded session (server/replay.js) drives the pose
+let tracker;                       // js/eb-tracker.js, person ids across frames
 const POSE_EMIT_MS = 80; // ~12.5 fps to keep bandwidth low
 
 
 // Rendering
 let segmentProfile = [0.0, 1.0, 0.0];
-let shapeMask, patternGraphics, originOffset, emotionGraphics;
+let shapeMask, originOffset;
+
+// --- LAYERS ---
+// Each body is painted as a stack of layers (js/eb-layers.js), lowest order
+// first: the outline, the emotions' marbles, then the strokes. A layer draws
+// into its own buffer, composited with its opacity, blend mode and mask. Add
+// more with addLayer() (e.g. from a script loaded after this one); the control
+// toggles them with { type: 'layer' } messages.
+const layerStack = EBLayers.createStack();
+layerStack.add({ id: 'outline', label: 'body outline', order: 0, mask: 'canvas', draw: (pg, c) => c.outline(pg) });
+layerStack.add({ id: 'marbles', label: 'emotion marbles', order: 10, draw: (pg, c) => drawEmotionLayers(pg, c.vals) });
+layerStack.add({ id: 'strokes', label: 'anxiety strokes', order: 20, draw: (pg, c) => drawStrokeLayers(pg, c.vals) });
+let layerBuffers = new Map(); // layer id → offscreen graphics, made on first use
+let layerCache = new Map();   // cache id → { key, value }: marble flow fields and tiles, see cached()
+// Layers composite on the GPU (js/eb-gl-compositor.js) where WebGL works;
+// display.html?render=2d, or a lost WebGL context, uses get() + mask() instead
+const RENDER_MODE = new URLSearchParams(location.search).get('render') === '2d' ? '2d' : 'gl';
+let glCompositor = null; // created in startSketch()
+
+// --- QUALITY ---
+// js/eb-quality.js times every frame and lowers (or restores) marble grid,
+// stroke budget, layer resolution and pixel density to hold TUNE.quality.targetFps.
+// display.html?quality=<level> (full, high, medium, low, minimum) pins a level.
+const QUALITY_PIN = new URLSearchParams(location.search).get('quality');
+const QUALITY_REPORT_MS = 2000; // the control's quality pill refreshes this often
+let governor, quality = EBQuality.LEVELS[0], __lastQualityReportAt = 0;
 
 // Pose metrics
 let movementVelocity = 0;
@@ -112,21 +86,40 @@ const EDGES = [
   // neck-ish
   ['leftShoulder', 'nose'], ['rightShoulder', 'nose'],
 ];
+// Region slider that sets the thickness around an edge (body=skeleton)
+function edgeRegion([a, b]) {
+  const both = a + b;
+  if (/Elbow|Wrist/.test(both)) return 'armsHands';
+  if (/Knee|Ankle/.test(both)) return 'legsFeet';
+  if (/nose/.test(both)) return 'neck';
+  if (/Hip/.test(a) && /Hip/.test(b)) return 'abdomen';
+  return 'chest';
+}
 
 
 // UI / Slider mirrors (renderer-side state holders)
 let regionSliders = {}, emotionSliders = {}, trackingStarted = false;
 const regionNames = ["head", "neck", "armsHands", "chest", "abdomen", "legsFeet"];
-const emotionNames = ["anxiety", "sadness", "joy", "anger", "fear", "calm"];
-
-const regionKeypoints = {
-  head: ["nose", "leftEye", "rightEye", "leftEar", "rightEar"],
-  neck: ["leftShoulder", "rightShoulder"],
-  chest: ["leftShoulder", "rightShoulder", "leftElbow", "rightElbow", "leftWrist", "rightWrist"],
-  armsHands: ["leftWrist", "rightWrist", "leftElbow", "rightElbow"],
-  abdomen: ["leftHip", "rightHip"],
-  legsFeet: ["leftKnee", "rightKnee", "leftAnkle", "rightAnkle"]
-};
+const emotionNames = EBEmotions.names(); // js/eb-emotions.js, in control slider order
+
+// --- BODIES -------------------------------------------------------------
+// display.html?bodies=<n> (n > 1) runs PoseNet in multi-pose mode and draws up
+// to n energy bodies, one per person, each with its own slider mirrors,
+// analytics engine (js/eb-analytics.js) and session averages (js/eb-session.js).
+// A body follows one person id from the tracker (js/eb-tracker.js) and is
+// handed to the next new person once that id is lost. Columns of the canvas
+// are ordered by where people stand. Body 0 uses the globals above, so with
+// one body (the default) the display behaves as before.
+const MAX_BODIES = Math.max(1, parseInt(new URLSearchParams(location.search).get('bodies'), 10) || 1);
+// display.html?body=skeleton builds each silhouette along the person's own
+// skeleton (EDGES) instead of stacking region widths on a vertical spine
+const BODY_MODE = new URLSearchParams(location.search).get('body') === 'skeleton' ? 'skeleton' : 'stack';
+let bodies = [];
+let finishedSessions = []; // averages of people who left while a session ran
+// display.html?tuning=<name> starts from a tuning profile saved by server.js
+// (tuning/<name>.json); the control can switch profiles later
+const TUNING_PROFILE = new URLSearchParams(location.search).get('tuning');
+let sketchStarted = false; // setup() fetches the tuning profile before startSketch()
 
 const UI_WIDTH = 320, CANVAS_PADDING = 20; let K = 1;
 let regionMaxWidths = { head: 60, neck: 20, chest: 50, armsHands: 150, abdomen: 80, legsFeet: 100, spine: 100 };
@@ -194,24 +187,166 @@ function onPrintClick() {
 //   window.__printBtn = btn;
 // }
 
+// --- POSE SOURCE --------------------------------------------------------
+// display.html?source=<clip> runs PoseNet on a looping, muted video file
+// instead of the webcam; bare file names are looked up in media/.
+// display.html?source=synthetic:<profile> plays a scripted motion profile
+// from js/eb-synthetic-pose.js instead of running PoseNet at all.
+function poseSourceFromUrl() {
+  const source = new URLSearchParams(location.search).get('source');
+  if (!source || source === 'camera') return { kind: 'camera' };
+  if (source.startsWith('synthetic:')) return { kind: 'synthetic', profile: source.slice('synthetic:'.length) || 'still' };
+  return { kind: 'file', url: /[/:]/.test(source) ? source : `media/${source}` };
+}
+
+function createPoseVideo(source, constraints) {
+  if (source.kind === 'file') {
+    const clip = createVideo(source.url, () => {
+      clip.volume(0);
+      clip.loop();
+      console.log(`[DISPLAY] video file ready: ${source.url}`);
+    });
+    clip.elt.muted = true;
+    clip.elt.playsInline = true;
+    clip.elt.addEventListener('error', () => console.error(`❌ [DISPLAY] could not load video file ${source.url}`));
+    return clip;
+  }
+  return createCapture(constraints, () => {
+    console.log("[DISPLAY] video ready");
+  });
+}
+
+// The generator stands in for both the video (width/height) and PoseNet
+// ('pose' events). Tracking starts on its own, and from the second loop on
+// (the first is warm-up) each loop logs whether the emotions moved as the
+// profile expects.
+function createSyntheticSource(profileName) {
+  const synth = EBSyntheticPose.create(profileName, { width, height });
+  let samples = [];
+  synth.on('pose', () => {
+    const emotions = {}; for (const n of emotionNames) emotions[n] = emotionSliders[n].value();
+    samples.push({ t: synth.loopTime(), emotions });
+  });
+  synth.on('loop', loop => {
+    if (loop > 1) console.log(EBSyntheticPose.formatCheck(EBSyntheticPose.checkTrend(profileName, samples)));
+    samples = [];
+  });
+  return synth;
+}
+
+// --- BODY STATE ---------------------------------------------------------
+function createSliderMirrors(names) {
+  const mirrors = {};
+  names.forEach(name => { let val = 0; mirrors[name] = { value: (v) => { if (v !== undefined) val = v; return val; } }; });
+  return mirrors;
+}
+
+function createBody(index) {
+  const body = {
+    index, personId: null, seenAt: 0, x: 0, centerX: null, skeleton: null,
+    emotionSliders: index === 0 ? emotionSliders : createSliderMirrors(emotionNames),
+    regionSliders: index === 0 ? regionSliders : createSliderMirrors([...regionNames, 'spine']),
+    session: new EBSession.SessionAverager()
+  };
+  // In multi mode spine sway is measured from the middle of the body's own column
+  body.engine = EBAnalytics.createEngine(TUNE, {
+    width: () => video?.width || 640, height: () => video?.height || 480,
+    canvasHeight: () => height, spineMax: () => regionMaxWidths.spine || 100,
+    centerX: () => body.centerX, now: () => millis()
+  });
+  return body;
+}
+
+// Hand a body to a new person: the previous person's averages are kept and
+// the body starts from zero instead of from where they left it
+function claimBody(body, personId) {
+  const averaging = body.session.active;
+  if (body.personId !== null) {
+    if (averaging) finishedSessions.push({ person: body.personId, ...body.session.end() });
+    body.engine.reset({ calibration: true }); body.skeleton = null;
+    for (const n of emotionNames) body.emotionSliders[n].value(0);
+    for (const n of [...regionNames, 'spine']) body.regionSliders[n].value(0);
+  }
+  console.log(`[BODIES] person ${personId} → body ${body.index}`);
+  body.personId = personId; body.session.label = `person ${personId}`;
+  if (averaging) { if (!body.session.active) body.session.begin(); body.engine.startCalibration(); }
+}
+
+// The body following this person id, or a free one (never used, or its person is gone)
+function bodyFor(personId) {
+  const held = bodies.find(b => b.personId === personId);
+  if (held) return held;
+  const live = new Set(tracker.tracks().map(t => t.id));
+  const free = bodies.find(b => b.personId === null) || bodies.find(b => !live.has(b.personId));
+  if (free) claimBody(free, personId);
+  return free || null;
+}
+
+// Pair this frame's poses with bodies: the first pose with one body, otherwise
+// the best-scoring tracked poses, each to the body following its person
+function assignBodies(results) {
+  const found = (results || []).filter(r => r?.pose?.keypoints?.length);
+  if (MAX_BODIES === 1) return found.length ? [{ body: bodies[0], pose: found[0].pose }] : [];
+  return found.filter(r => r.id).sort((a, b) => b.pose.score - a.pose.score).slice(0, MAX_BODIES)
+    .map(r => ({ body: bodyFor(r.id), pose: r.pose })).filter(p => p.body);
+}
+
+// Bodies seen recently, ordered by where their people stand; body 0 stands in when nobody is
+function visibleBodies() {
+  if (MAX_BODIES === 1) return [bodies[0]];
+  const now = millis(); const shown = bodies.filter(b => b.personId !== null && now - b.seenAt <= TUNE.tracking.maxMissedMs);
+  return shown.length ? shown.sort((a, b) => a.x - b.x) : [bodies[0]];
+}
+
+// Column centers in video pixels, for each body's spine sway
+function layoutBodies() {
+  const vw = video?.width || 640; const shown = visibleBodies();
+  shown.forEach((b, i) => { b.centerX = vw * (i + 0.5) / shown.length; });
+}
+
+// A session starts with each person's neutral stance (js/eb-analytics.js calibration)
+function beginSession() { finishedSessions = []; bodies.forEach(b => { b.session.begin(); b.engine.startCalibration(); }); }
+function sessionSummaries() {
+  const live = bodies.filter(b => b.session.samples > 0).map(b => ({ person: b.personId, ...b.session.summary() }));
+  return [...finishedSessions, ...live];
+}
+
 // --- SETUP --------------------------------------------------------------
+// Not loadJSON() in preload(): p5 stays on "Loading..." for good if the profile is missing
 function setup() {
+  noLoop(); // p5 still runs draw() once, which returns until sketchStarted
+  loadStartupTuning().then(() => { startSketch(); sketchStarted = true; loop(); });
+}
+
+async function loadStartupTuning() {
+  if (!TUNING_PROFILE) return;
+  try {
+    const res = await fetch(`/tuning/${encodeURIComponent(TUNING_PROFILE)}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const profile = await res.json();
+    applyTuneProfile(profile.tune, profile.name); // before PoseNet, the tracker and the engines copy their TUNE
+  } catch (err) { console.warn(`[TUNE] no tuning profile "${TUNING_PROFILE}" (${err.message}), starting from the shipped TUNE`); }
+}
+
+function startSketch() {
   createCanvas(windowWidth, windowHeight); pixelDensity(1);
   colorMode(RGB); angleMode(RADIANS); noFill(); stroke(255); strokeWeight(2);
   // addPrintButton();       
 
   scene = createGraphics(width, height);
-  patternGraphics = createGraphics(width, height);
   shapeMask = createGraphics(width, height);
-  emotionGraphics = createGraphics(width, height);
-  ;[scene, patternGraphics, shapeMask, emotionGraphics].forEach(g => { g.colorMode(RGB); g.noFill(); g.stroke(255); g.strokeWeight(2); });
+  ;[scene, shapeMask].forEach(g => { g.colorMode(RGB); g.noFill(); g.stroke(255); g.strokeWeight(2); });
+  if (RENDER_MODE === 'gl') glCompositor = EBGLCompositor.create();
+  console.log(`[RENDER] ${glCompositor ? 'WebGL' : '2D'} layer compositing`);
+  governor = EBQuality.createGovernor(TUNE.quality);
+  if (QUALITY_PIN && !governor.pin(QUALITY_PIN)) console.warn(`[QUALITY] no level "${QUALITY_PIN}"`);
+  applyQuality(governor.level());
 
   originOffset = createVector(width / 2, height / 2);
 
   // Renderer-side slider mirrors
-  emotionNames.forEach(name => { let val = 0; emotionSliders[name] = { value: (v) => { if (v !== undefined) val = v; return val; } }; });
-  regionNames.forEach(name => { let val = 0; regionSliders[name] = { value: (v) => { if (v !== undefined) val = v; return val; } }; });
-  let spineVal = 0; regionSliders["spine"] = { value: (v) => { if (v !== undefined) spineVal = v; return spineVal; } };
+  emotionSliders = createSliderMirrors(emotionNames);
+  regionSliders = createSliderMirrors([...regionNames, 'spine']);
 
   // Video
   const constraints = {
@@ -223,37 +358,28 @@ function setup() {
     }
   };
 
-  video = createCapture(constraints, () => {
-    console.log("[DISPLAY] video ready");
-  });
-  video.size(width, height);
-  video.hide();
-
-
-  // PoseNet
-  poseNet = ml5.poseNet(video, { detectionType: 'single' }, () => console.log('🧠 PoseNet model loaded'));
+  const source = poseSourceFromUrl();
+  if (source.kind === 'synthetic') {
+    video = poseNet = createSyntheticSource(source.profile);
+  } else {
+    video = createPoseVideo(source, constraints);
+    video.size(width, height);
+    video.hide();
+
+    // PoseNet
+    const detection = MAX_BODIES > 1 ? { detectionType: 'multiple', maxPoseDetections: MAX_BODIES } : { detectionType: 'single' };
+    poseNet = ml5.poseNet(video, { ...detection, filter: TUNE.poseFilter, ...TUNE.inference }, () => console.log('🧠 PoseNet model loaded'));
+    poseNet.pause?.(); // inference only runs while tracking (startTracking/stopTracking)
+    window.addEventListener('beforeunload', () => poseNet.dispose?.());
+  }
+  bodies = Array.from({ length: MAX_BODIES }, (_, i) => createBody(i));
+  tracker = EBTracker.create(TUNE.tracking);
+  if (MAX_BODIES > 1) console.log(`[BODIES] multi-person mode, up to ${MAX_BODIES} bodies`);
   let debugPoseCount = 0;
 
   poseNet.on('pose', results => {
-    if (!trackingStarted) return;
-    poses = results;
-    const pose = results[0]?.pose;
-    if (!pose) return;
-
-    updatePoseFactors(pose);
-    updatePoseTransform(pose);
-    coupleRegionsToPose(pose);
-    updatePoseAnchor(pose);
-
-    maybeEchoState();
-    emitPoseMetrics();   // send meters to the control (~12 fps throttled)
-
-
-    const now = millis();
-    if (now - __lastPoseEmitAt >= POSE_EMIT_MS) {
-      __lastPoseEmitAt = now;
-      emitPoseToControl(pose);
-    }
+    if (replayActive) return; // a recorded session is driving the body
+    handlePoseResults(results);
   });
 
 
@@ -272,44 +398,124 @@ function setup() {
   window.startTracking = startTracking;
   window.stopTracking = stopTracking;
   window.resetAll = resetAll;
+  window.injectPose = injectPose;
+  window.setReplayActive = setReplayActive;
+  window.beginSession = beginSession;
+  window.sessionSummaries = sessionSummaries;
+  window.applyTune = applyTune;
+  window.applyTuneProfile = applyTuneProfile;
+  window.applyLayer = applyLayer;
+  window.addLayer = addLayer;
+  reportLayers();
   window.addEventListener('eb:reset', () => resetAll());
+
+  if (source.kind === 'synthetic') { startTracking(); poseNet.start(); }
 }
 
 function draw() {
+  if (!sketchStarted) return;
+  const frameStart = performance.now();
   fill(255); noStroke(); textSize(14);
   text(`video ${video?.width || 0}x${video?.height || 0} | poses: ${poses?.length || 0} | tracking: ${trackingStarted}`, 12, 20);
+  const calibrating = visibleBodies().map(b => b.engine.calibration()).filter(c => c.state === 'collecting');
+  if (calibrating.length) text(`calibrating — stand still (${Math.round(100 * Math.min(...calibrating.map(c => c.progress)))}%)`, 12, 40);
 
-  K = min(width, height) / 900;
-  regionMaxWidths = { head: 60 * K, neck: 20 * K, chest: 50 * K, armsHands: 150 * K, abdomen: 80 * K, legsFeet: 100 * K, spine: 100 * K };
+  scene.clear();
+  if (glCompositor && !glCompositor.ok()) { console.warn('[RENDER] WebGL lost, back to 2D layer compositing'); glCompositor = null; }
+  const gpu = glCompositor; if (gpu) gpu.begin(scene.elt.width, scene.elt.height);
+  const shown = visibleBodies(); const colW = width / shown.length;
+  shown.forEach((body, i) => drawEnergyBody(body, colW * (i + 0.5), colW, gpu));
+  if (gpu) scene.drawingContext.drawImage(gpu.end(), 0, 0, width, height);
 
-  scene.clear(); patternGraphics.clear(); emotionGraphics.clear(); shapeMask.clear();
+  blitSceneTranslateOnly(scene);
+  // push(); noStroke(); fill(255); textSize(14); text(`[${displayOrientation}]`,12,20); pop();
+  trackQuality(performance.now() - frameStart);
+}
+
+// One body into `scene` (or the GPU frame), centered in a column colW wide at x = cx
+function drawEnergyBody(body, cx, colW, gpu = null) {
+  K = min(colW, height) / 900;
+  regionMaxWidths = { head: 60 * K, neck: 20 * K, chest: 50 * K, armsHands: 150 * K, abdomen: 80 * K, legsFeet: 100 * K, spine: 100 * K };
+  originOffset = createVector(cx, height / 2);
 
-  // emotions
-  let vals = {}; for (let n of emotionNames) vals[n] = emotionSliders[n].value();
-  let fearAmt = vals.fear / 5, sadnessAmt = vals.sadness / 5, joyAmt = vals.joy / 5, angerAmt = vals.anger / 5, anxietyVal = vals.anxiety, calmAmt = vals.calm / 5;
+  shapeMask.clear();
 
-  const FV = TUNE.visuals.fear; let baseScale = lerp(FV.baseScaleFrom, FV.baseScaleTo, fearAmt); let fearFreq = lerp(FV.freqFrom, FV.freqTo, fearAmt); let pulse = FV.pulseAmp * sin(frameCount * fearFreq); let fearScale = baseScale + pulse;
+  // emotions (drawn by the layer each one names in js/eb-emotions.js)
+  let vals = {}; for (let n of emotionNames) vals[n] = body.emotionSliders[n].value();
+  let fearScale = bodyScale(vals);
 
   let baseRegionSpacings = regionNames.map((region, i) => { let base = [30, 20, 30, 15, 20, 50][i] * K; if (region === 'armsHands') return base + 30 * K; if (region === 'legsFeet') return base + 60 * K; return base; });
   let totalBaseHeight = baseRegionSpacings.reduce((a, b) => a + b, 0); let maxBodyHeight = height * 0.7; let bodyHeightScale = maxBodyHeight / totalBaseHeight; let regionSpacings = baseRegionSpacings.map(s => s * bodyHeightScale);
 
-  drawBodyShape(regionSpacings, fearScale, smoothedStructure, smoothedBalance);
-  drawEmotionLayers(emotionGraphics, joyAmt, sadnessAmt, angerAmt);
-  drawAnxietyPattern(patternGraphics, anxietyVal, calmAmt);
+  const outline = (BODY_MODE === 'skeleton' && body.skeleton) ? drawSkeletonShape(body, fearScale) : drawBodyShape(regionSpacings, fearScale, body.regionSliders);
+  compositeLayers({ body, vals, fearScale, outline: outline || (() => {}), x0: cx - colW / 2, colW }, gpu);
+}
+
+// Every enabled layer into its buffer, then onto `scene`: masked to the body's
+// silhouette (shapeMask) or to its column of the canvas. With gpu the mask,
+// opacity and blend run in its shader instead of on the CPU.
+function compositeLayers(c, gpu = null) {
+  let maskImage = null, maskSent = false;
+  for (const layer of layerStack.list()) {
+    if (!layer.enabled || layer.opacity <= 0) continue;
+    const pg = layerBuffer(layer.id); pg.clear(); layer.draw(pg, c);
+    if (gpu) {
+      const masked = layer.mask === 'body';
+      if (masked && !maskSent) { gpu.mask(shapeMask.elt); maskSent = true; }
+      gpu.draw(pg.elt, { opacity: layer.opacity, blend: layer.blend, masked, rect: masked ? null : [c.x0, 0, c.colW, height], ratio: pixelDensity() });
+      continue;
+    }
+    scene.push(); scene.blendMode(window[layer.blend.toUpperCase()] ?? BLEND); scene.drawingContext.globalAlpha = layer.opacity;
+    if (layer.mask === 'body') { maskImage = maskImage || shapeMask.get(); const img = pg.get(); img.mask(maskImage); scene.image(img, 0, 0); }
+    else scene.image(pg, c.x0, 0, c.colW, height, c.x0, 0, c.colW, height);
+    scene.pop(); scene.blendMode(BLEND); // pop restores the canvas state but not p5's cached blend mode
+  }
+}
+
+function layerBuffer(id) {
+  let pg = layerBuffers.get(id); const density = pixelDensity() * quality.layerDensity;
+  if (!pg || pg.width !== width || pg.height !== height || pg.pixelDensity() !== density) {
+    pg?.remove?.(); pg = createGraphics(width, height); pg.pixelDensity(density); pg.colorMode(RGB); pg.noFill(); pg.stroke(255); pg.strokeWeight(2);
+    layerBuffers.set(id, pg);
+  }
+  return pg;
+}
 
-  let maskImage = shapeMask.get(); let emotionImage = emotionGraphics.get(); let patternImage = patternGraphics.get();
-  emotionImage.mask(maskImage); patternImage.mask(maskImage); scene.image(emotionImage, 0, 0); scene.image(patternImage, 0, 0);
+// --- QUALITY ---
+// One frame's cost into the governor; a new level applies from the next frame
+function trackQuality(frameMs) {
+  const changed = governor.sample(frameMs, millis());
+  if (changed) { console.log(`[QUALITY] ${quality.name} → ${changed.name} (${governor.describe().targetFps} fps target)`); applyQuality(changed); }
+  if (changed || millis() - __lastQualityReportAt >= QUALITY_REPORT_MS) { __lastQualityReportAt = millis(); if (window.EnergyBodiesDisplay) EnergyBodiesDisplay.quality(governor.describe()); }
+}
 
-  blitSceneTranslateOnly(scene);
-  // push(); noStroke(); fill(255); textSize(14); text(`[${displayOrientation}]`,12,20); pop();
+// Grid and stroke budget are read while drawing and layer buffers follow in layerBuffer();
+// the canvas and scene are rebuilt at the level's pixel density
+function applyQuality(level) {
+  quality = level;
+  if (pixelDensity() !== level.pixelDensity) { pixelDensity(level.pixelDensity); windowResized(); }
 }
 
+// Control → one layer's enabled / opacity (js/eb-layers.js); reports the stack back
+function applyLayer(id, changes) {
+  const problem = layerStack.set(id, changes);
+  if (problem) { console.warn(`[LAYERS] ${problem}`); return; }
+  console.log(`[LAYERS] ${id}`, changes); reportLayers();
+}
+
+// A new layer for the stack, e.g. addLayer({ id: 'glow', order: 15, blend: 'add', draw: (pg, c) => { … } })
+function addLayer(def) {
+  const layer = layerStack.add(def); reportLayers(); return layer;
+}
+
+function reportLayers() { if (window.EnergyBodiesDisplay?.layers) EnergyBodiesDisplay.layers(layerStack.describe()); }
+
 function blitSceneTranslateOnly(sceneGfx) {
   clear(); push(); imageMode(CENTER);
   const vw = video?.width || width, vh = video?.height || height; let s;
   if (displayOrientation === 'portrait') { translate(0, height); rotate(-HALF_PI); s = Math.min(height / vw, width / vh); } else { s = Math.min(width / vw, height / vh); }
   let cx = width / 2, cy = height / 2;
-  if (followPose && (millis() - _poseSeenAt < TUNE.follow.enabledFreshMs)) {
+  if (followPose && MAX_BODIES === 1 && (millis() - _poseSeenAt < TUNE.follow.enabledFreshMs)) {
     const dx = (poseTx - vw / 2) * s; const dy = (poseTy - vh / 2) * s;
     if (followAxis === 'both' || followAxis === 'x') cx += dx;
     if (followAxis === 'both' || followAxis === 'y') cy += dy;
@@ -319,14 +525,14 @@ function blitSceneTranslateOnly(sceneGfx) {
   pop();
 }
 
-function drawBodyShape(regionSpacings, fearScale) {
+function drawBodyShape(regionSpacings, fearScale, sliders = regionSliders) {
   let stepsPerRegion = 2; let spacingAccumulator = -regionSpacings.reduce((a, b) => a + b, 0) / 2;
   let leftSide = [], rightSide = [], crotchPoints = []; const legTaper = 60 * K, domeOffset = 60 * K;
   for (let i = 0; i < regionNames.length; i++) {
     for (let s = 0; s < stepsPerRegion; s++) {
       let t = s / (stepsPerRegion - 1); let y = spacingAccumulator + t * (regionSpacings[i] || 60 * K);
       if (regionNames[i] === 'chest') y -= 60 * K; if (regionNames[i] === 'armsHands') y += map(t, 0, 1, 0, 40 * K); if (regionNames[i] === 'legsFeet') y += map(t, 0, 1, 0, 80 * K);
-      let spineOffset = regionSliders['spine'].value(); let sliderVal = regionSliders[regionNames[i]].value(); let maxWidth = regionMaxWidths[regionNames[i]] || 80 * K; let halfWidth = map(sliderVal, 0, 5, 0, maxWidth) * fearScale;
+      let spineOffset = sliders['spine'].value(); let sliderVal = sliders[regionNames[i]].value(); let maxWidth = regionMaxWidths[regionNames[i]] || 80 * K; let halfWidth = map(sliderVal, 0, 5, 0, maxWidth) * fearScale;
       if (regionNames[i] === 'legsFeet') halfWidth -= map(t, 0, 1, 0, legTaper);
       leftSide.push(createVector(-halfWidth - spineOffset / 2 + originOffset.x, y + originOffset.y));
       rightSide.unshift(createVector(halfWidth + spineOffset / 2 + originOffset.x, y + originOffset.y));
@@ -337,13 +543,62 @@ function drawBodyShape(regionSpacings, fearScale) {
   let domeY = leftSide[0].y - domeOffset; let leftAnchor = createVector(originOffset.x, domeY), rightAnchor = createVector(originOffset.x, domeY);
   let fullShape = [leftAnchor, ...leftSide, ...crotchPoints, ...rightSide, rightAnchor];
   shapeMask.noStroke(); shapeMask.fill(255); shapeMask.curveTightness(-0.5); shapeMask.beginShape(); shapeMask.curveVertex(fullShape[0].x, fullShape[0].y); for (let pt of fullShape) shapeMask.curveVertex(pt.x, pt.y); shapeMask.curveVertex(fullShape[fullShape.length - 1].x, fullShape[fullShape.length - 1].y); shapeMask.endShape(CLOSE);
-  scene.push(); scene.noFill(); scene.stroke(0); scene.strokeWeight(1 * K); scene.curveTightness(-0.5); scene.beginShape(); scene.curveVertex(fullShape[0].x, fullShape[0].y); for (let pt of fullShape) scene.curveVertex(pt.x, pt.y); scene.curveVertex(fullShape[fullShape.length - 1].x, fullShape[fullShape.length - 1].y); scene.endShape(CLOSE); scene.pop();
-  return fullShape;
+  // Outline painter for the 'outline' layer
+  return g => { g.push(); g.noFill(); g.stroke(0); g.strokeWeight(1 * K); g.curveTightness(-0.5); g.beginShape(); g.curveVertex(fullShape[0].x, fullShape[0].y); for (let pt of fullShape) g.curveVertex(pt.x, pt.y); g.curveVertex(fullShape[fullShape.length - 1].x, fullShape[fullShape.length - 1].y); g.endShape(CLOSE); g.pop(); };
 }
 
-function drawAnxietyPattern(pg, val, calm) {
-  pg.clear();
-  const A = TUNE.visuals.anxiety;
+// body=skeleton: a capsule around every confident EDGE, as thick as its region
+// slider, plus the torso and head. The skeleton's torso sits on originOffset,
+// scaled like the stacked body (K), so limbs move with the participant's.
+function drawSkeletonShape(body, fearScale) {
+  const SK = TUNE.visuals.skeleton, sliders = body.regionSliders; const pts = body.skeleton;
+  const ok = part => pts[part] && pts[part].s >= SK.minScore;
+  const torso = ['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip'].filter(ok);
+  if (!torso.length) return;
+  const vw = video?.width || 640, vh = video?.height || 480; const sc = K * 900 / Math.min(vw, vh);
+  const tx = torso.reduce((a, p) => a + pts[p].x, 0) / torso.length, ty = torso.reduce((a, p) => a + pts[p].y, 0) / torso.length;
+  const at = part => createVector(originOffset.x + (pts[part].x - tx) * sc, originOffset.y + (pts[part].y - ty) * sc);
+  const halfWidth = region => (SK.minHalfWidth * K + map(sliders[region].value(), 0, 5, 0, regionMaxWidths[region]) * SK.widthScale) * fearScale;
+
+  const capsules = EDGES.filter(([a, b]) => ok(a) && ok(b)).map(edge => ({ a: at(edge[0]), b: at(edge[1]), hw: halfWidth(edgeRegion(edge)) }));
+  const quad = ['leftShoulder', 'rightShoulder', 'rightHip', 'leftHip'].every(ok) ? ['leftShoulder', 'rightShoulder', 'rightHip', 'leftHip'].map(at) : null;
+  const head = ok('nose') ? { c: at('nose'), r: halfWidth('head') * 1.5 } : null;
+  const paint = (g, grow) => {
+    g.push(); g.noFill(); g.strokeCap(ROUND); g.strokeJoin(ROUND);
+    for (const { a, b, hw } of capsules) { g.strokeWeight(2 * (hw + grow)); g.line(a.x, a.y, b.x, b.y); }
+    if (quad) { g.strokeWeight(2 * grow + 1); g.fill(g === shapeMask ? 255 : 0); g.beginShape(); quad.forEach(v => g.vertex(v.x, v.y)); g.endShape(CLOSE); }
+    if (head) { g.noStroke(); g.fill(g === shapeMask ? 255 : 0); g.circle(head.c.x, head.c.y, 2 * (head.r + grow)); }
+    g.pop();
+  };
+
+  shapeMask.stroke(255); paint(shapeMask, 0);
+  // Outline painter: the shape grown by K in black, minus the shape itself
+  return g => { g.stroke(0); paint(g, 1 * K); g.erase(); g.stroke(255); paint(g, 0); g.noErase(); };
+}
+
+// Smoothed copy of a body's keypoints for the skeleton silhouette
+function updateSkeleton(body, pose) {
+  const k = TUNE.visuals.skeleton.smoothing; const prev = body.skeleton || {}; const next = {};
+  for (const { part, position, score } of pose.keypoints) {
+    const p = prev[part];
+    next[part] = p ? { x: lerp(p.x, position.x, k), y: lerp(p.y, position.y, k), s: lerp(p.s, score, k) } : { x: position.x, y: position.y, s: score };
+  }
+  body.skeleton = next;
+}
+
+// 'scale' layer (fear): the body shrinks and pulses faster as the emotion rises
+function bodyScale(vals) {
+  const [e] = EBEmotions.withLayer('scale'); if (!e) return 1;
+  const FV = TUNE.visuals[e.layer.tune], amt = vals[e.name] / 5;
+  return lerp(FV.baseScaleFrom, FV.baseScaleTo, amt) + FV.pulseAmp * sin(frameCount * lerp(FV.freqFrom, FV.freqTo, amt));
+}
+
+// 'strokes' layers (anxiety), each softened by its soothedBy emotion (calm)
+function drawStrokeLayers(pg, vals) {
+  for (const { name, layer } of EBEmotions.withLayer('strokes')) drawStrokePattern(pg, vals[name], (vals[layer.soothedBy] ?? 0) / 5, TUNE.visuals[layer.tune]);
+}
+
+function drawStrokePattern(pg, val, calm, A) {
 
   // Alpha & base params
   const alpha = lerp(A.alphaMax, A.alphaMin, calm);
@@ -375,8 +630,8 @@ function drawAnxietyPattern(pg, val, calm) {
   const rows = Math.ceil(height / baseSpacing);
   const totalCells = cols * rows;
 
-  // Keep existing cap for perf, but distribute across the whole grid
-  const budget = Math.min(totalCells, A.maxStrokes || totalCells);
+  // Cap for perf (scaled by the quality level), but distribute across the whole grid
+  const budget = Math.max(1, Math.min(totalCells, Math.round((A.maxStrokes || totalCells) * quality.strokes)));
 
   // Use a 2D stride so we sample evenly in X and Y
   const stride = Math.max(1, Math.ceil(Math.sqrt(totalCells / budget)));
@@ -414,152 +669,87 @@ function drawAnxietyPattern(pg, val, calm) {
 }
 
 
-function drawEmotionLayers(pg, joyAmt, sadnessAmt, angerAmt) {
-  pg.clear(); const M = TUNE.visuals.marbles; let gridSpacing = M.gridSpacing, emotionAlpha = M.alphaPerUnit;
-  if (joyAmt > 0) { for (let y = 0; y < height; y += gridSpacing) { for (let x = 0; x < width; x += gridSpacing) { let alpha = joyAmt * emotionAlpha; let c = color('#ffff00'); c.setAlpha(alpha); let a = noise(x * 0.01, y * 0.01) * TWO_PI * 4; let dx = cos(a) * gridSpacing * 2; let dy = sin(a) * gridSpacing * 2; pg.noStroke(); pg.fill(c); pg.ellipse(x + dx, y + dy, gridSpacing * 2, gridSpacing * 2); } } }
-  if (sadnessAmt > 0) { for (let y = 0; y < height; y += gridSpacing) { for (let x = 0; x < width; x += gridSpacing) { let alpha = sadnessAmt * emotionAlpha; let c = color('#2196F3'); c.setAlpha(alpha); let a = noise(x * 0.01 + 100, y * 0.01 + 100) * TWO_PI * 4; let dx = cos(a) * gridSpacing * 2; let dy = sin(a) * gridSpacing * 2; pg.noStroke(); pg.fill(c); pg.ellipse(x + dx, y + dy, gridSpacing * 2, gridSpacing * 2); } } }
-  if (angerAmt > 0) { for (let y = 0; y < height; y += gridSpacing) { for (let x = 0; x < width; x += gridSpacing) { let alpha = angerAmt * emotionAlpha; let c = color('#FF53BC'); c.setAlpha(alpha); let a = noise(x * 0.01 + 200, y * 0.01 + 200) * TWO_PI * 4; let dx = cos(a) * gridSpacing * 2; let dy = sin(a) * gridSpacing * 2; pg.noStroke(); pg.fill(c); pg.ellipse(x + dx, y + dy, gridSpacing * 2, gridSpacing * 2); } } }
-}
-
-function startTracking() { if (trackingStarted) return; trackingStarted = true; console.log('[TRACKING] ON'); if (window.EnergyBodiesDisplay) EnergyBodiesDisplay.tracking(true); }
-function stopTracking() { if (!trackingStarted) return; trackingStarted = false; poses = []; console.log('[TRACKING] OFF'); if (window.EnergyBodiesDisplay) EnergyBodiesDisplay.tracking(false); }
-
-// --------------------------- POSE → FACTORS ---------------------------
-function updatePoseFactors(pose) {
-  if (!pose || !pose.keypoints) return;
-  const kp = pose.keypoints.filter(k => k.score > TUNE.velocity.kpMinScore);
-  if (!kp.length) return;
-
-  // global velocity
-  let velAvg = 0; if (__prevKeypoints) { const diag = Math.hypot(video?.width || 640, video?.height || 480) || 1; let sum = 0, n = 0; for (const k of kp) { const prev = __prevKeypoints.find(p => p.part === k.part); if (!prev) continue; const dx = (k.position.x - prev.position.x) / diag; const dy = (k.position.y - prev.position.y) / diag; sum += Math.hypot(dx, dy); n++; } if (n > 0) velAvg = sum / n; }
-  __prevKeypoints = kp.map(k => ({ part: k.part, position: { x: k.position.x, y: k.position.y } }));
-
-  const vNorm = constrain(map(velAvg, TUNE.velocity.vNormInMin, TUNE.velocity.vNormInMax, 0, 1), 0, 1);
-  movementVelocity = lerp(movementVelocity, vNorm, TUNE.velocity.vBlend);
-  fastVel = lerp(fastVel, vNorm, TUNE.velocity.fastEMA);
-  slowVel = lerp(slowVel, vNorm, TUNE.velocity.slowEMA);
-  const burst = Math.max(0, fastVel - slowVel);
-  const poseAnger = constrain(map(burst, TUNE.velocity.angerBurstMin, TUNE.velocity.angerBurstMax, 0, 5), 0, 5);
-
-  // structure
-  const Ls = pose.leftShoulder, Rs = pose.rightShoulder, Lw = pose.leftWrist, Rw = pose.rightWrist;
-  let structure = 0; if (Ls && Rs && Lw && Rw) { const span = dist(Ls.x, Ls.y, Rs.x, Rs.y); const lw = dist(Ls.x, Ls.y, Lw.x, Lw.y) / span; const rw = dist(Rs.x, Rs.y, Rw.x, Rw.y) / span; structure = constrain(map((lw + rw) * 0.5, 0.7, 2.0, 0, 1), 0, 1); } smoothedStructure = lerp(smoothedStructure, structure, 0.15);
-
-  const shoulderDiff = Math.abs(Ls?.y - Rs?.y), hipDiff = Math.abs(pose.leftHip?.y - pose.rightHip?.y); smoothedBalance = lerp(smoothedBalance, (shoulderDiff + hipDiff), 0.15);
-
-  let lean = 0; if (Ls && Rs && pose.leftHip && pose.rightHip) { const sx = (Ls.x + Rs.x) / 2, sy = (Ls.y + Rs.y) / 2; const hx = (pose.leftHip.x + pose.rightHip.x) / 2, hy = (pose.leftHip.y + pose.rightHip.y) / 2; const ang = Math.atan2(hy - sy, hx - sx) - 0; lean = constrain(map(Math.abs(ang), 0.0, Math.PI / 6, 0, 1), 0, 1); } smoothedPostureLean = lerp(smoothedPostureLean, lean, 0.15);
-
-  const avgY = (pose.leftShoulder.y + pose.rightShoulder.y) / 2; smoothedAvgY = lerp(smoothedAvgY, avgY, 0.1);
-
-  const E = TUNE.emotions; if (E.sadnessFromAvgY.inMax === null) E.sadnessFromAvgY.inMax = height;
-  let poseAnxiety = constrain(map(movementVelocity, E.anxietyFromVel.inMin, E.anxietyFromVel.inMax, E.anxietyFromVel.outMin, E.anxietyFromVel.outMax), 0, 5);
-  let poseCalm = constrain(map(smoothedBalance, E.calmFromBalance.inMin, E.calmFromBalance.inMax, E.calmFromBalance.outMin, E.calmFromBalance.outMax), 0, 5);
-  let poseSadness = constrain(map(smoothedAvgY, E.sadnessFromAvgY.inMin, E.sadnessFromAvgY.inMax, E.sadnessFromAvgY.outMin, E.sadnessFromAvgY.outMax), 0, 5);
-  let poseFear = constrain(map(smoothedPostureLean, E.fearFromLean.inMin, E.fearFromLean.inMax, E.fearFromLean.outMin, E.fearFromLean.outMax), 0, 5);
-  let poseJoy = constrain(map(smoothedStructure, E.joyFromStructure.inMin, E.joyFromStructure.inMax, E.joyFromStructure.outMin, E.joyFromStructure.outMax), 0, 5);
-
-  const BL = E.blendPoseVsSlider, blend = (p, s) => lerp(s, p, BL);
-  emotionSliders.anxiety.value(blend(poseAnxiety, emotionSliders.anxiety.value()));
-  emotionSliders.calm.value(blend(poseCalm, emotionSliders.calm.value()));
-  emotionSliders.sadness.value(blend(poseSadness, emotionSliders.sadness.value()));
-  emotionSliders.fear.value(blend(poseFear, emotionSliders.fear.value()));
-  emotionSliders.joy.value(blend(poseJoy, emotionSliders.joy.value()));
-  emotionSliders.anger.value(blend(poseAnger, emotionSliders.anger.value()));
-}
-
-// ------------------------ REGION COUPLING ------------------------------
-function regionVelocity(pose, parts) {
-  const diag = Math.hypot(video?.width || 640, video?.height || 480) || 1;
-  let sum = 0, n = 0;
-  for (const name of parts) {
-    const k = pose.keypoints.find(p => p.part === name && p.score > TUNE.velocity.kpMinScore);
-    if (!k) continue;
-    const prev = __prevByPart.get(name);
-    if (prev) { const dx = (k.position.x - prev.x) / diag; const dy = (k.position.y - prev.y) / diag; sum += Math.hypot(dx, dy); n++; }
-    __prevByPart.set(name, { x: k.position.x, y: k.position.y });
+// 'marbles' layers (joy, sadness, anger): tinted marbles, alpha from the slider. Each
+// emotion's marbles sit in a cached tile at full strength (marbleTile), so a frame
+// only fades the tiles in: one image per emotion instead of an ellipse per grid cell
+function drawEmotionLayers(pg, vals) {
+  pg.clear();
+  for (const emotion of EBEmotions.withLayer('marbles')) {
+    const amt = Math.min(1, vals[emotion.name] / 5); if (!(amt > 0)) continue;
+    pg.push(); pg.drawingContext.globalAlpha = amt; pg.image(marbleTile(emotion), 0, 0, width, height); pg.pop();
   }
-  return n > 0 ? (sum / n) : 0;
 }
 
-function coupleRegionsToPose(pose) {
-  if (!pose || !pose.keypoints) return; const C = TUNE.coupling; const get = part => { const k = pose.keypoints.find(p => p.part === part && p.score > TUNE.velocity.kpMinScore); return k ? k.position : null; };
-
-  const ls = get('leftShoulder'), rs = get('rightShoulder');
-  const lh = get('leftHip'), rh = get('rightHip');
-  const lw = get('leftWrist'), rw = get('rightWrist');
-  const la = get('leftAnkle'), ra = get('rightAnkle');
-
-  // HEAD
-  { const v = regionVelocity(pose, regionKeypoints.head); const val = constrain(map(v, C.head.velMin, C.head.velMax, 0, 5), 0, 5); regionSliders.head.value(lerp(regionSliders.head.value(), val, C.head.lerp)); }
-
-  // NECK
-  { const v = regionVelocity(pose, regionKeypoints.neck); const val = constrain(map(v, C.neck.velMin, C.neck.velMax, 0, 5), 0, 5); regionSliders.neck.value(lerp(regionSliders.neck.value(), val, C.neck.lerp)); }
+// --- LAYER CACHE ---
+// value stored under id, rebuilt by build() (and the old one removed) only when key changes
+function cached(id, key, build) {
+  const hit = layerCache.get(id); if (hit && hit.key === key) return hit.value;
+  hit?.value?.remove?.(); const value = build(); layerCache.set(id, { key, value }); return value;
+}
 
-  // ARMS/HANDS: spread + motion boost
-  if (lw && rw && ls && rs) {
-    const span = dist(ls.x, ls.y, rs.x, rs.y);
-    const wristSpread = dist(lw.x, lw.y, rw.x, rw.y) / max(span, 1e-6);
-    const base = constrain(map(wristSpread, C.armsHands.wristSpreadMin, C.armsHands.wristSpreadMax, 0, 5), 0, 5);
-    const v = regionVelocity(pose, regionKeypoints.armsHands);
-    const boost = constrain(map(v, C.head.velMin, C.chest.velMax, 0, 5), 0, 5) * 0.5;
-    const armsVal = constrain(base + boost, 0, 5);
-    regionSliders.armsHands.value(lerp(regionSliders.armsHands.value(), armsVal, C.armsHands.lerp));
-  }
+// Where each marble of one noiseOffset sits: grid cell + a noise flow-field push
+function marbleField(off) {
+  const gridSpacing = TUNE.visuals.marbles.gridSpacing * quality.grid, seed = TUNE.visuals.marbles.seed;
+  return cached(`field:${off}`, marbleGridKey(), () => {
+    if (seed !== null) noiseSeed(seed);
+    const points = [];
+    for (let y = 0; y < height; y += gridSpacing) for (let x = 0; x < width; x += gridSpacing) { const a = noise(x * 0.01 + off, y * 0.01 + off) * TWO_PI * 4; points.push(x + cos(a) * gridSpacing * 2, y + sin(a) * gridSpacing * 2); }
+    return { points, size: gridSpacing * 2 };
+  });
+}
 
-  // CHEST: motion + openness
-  if (ls && rs) {
-    const span = dist(ls.x, ls.y, rs.x, rs.y);
-    let openness = 0; if (lw && rw) { const lwR = dist(ls.x, ls.y, lw.x, lw.y) / span; const rwR = dist(rs.x, rs.y, rw.x, rw.y) / span; openness = (lwR + rwR) * 0.5; }
-    const openVal = constrain(map(openness, C.chest.reachMin, C.chest.reachMax, 0, 5), 0, 5);
-    const v = regionVelocity(pose, regionKeypoints.chest);
-    const vVal = constrain(map(v, C.chest.velMin, C.chest.velMax, 0, 5), 0, 5);
-    const chestVal = constrain(0.6 * openVal + 0.4 * vVal, 0, 5);
-    regionSliders.chest.value(lerp(regionSliders.chest.value(), chestVal, C.chest.lerp));
-  }
+// Fields and tiles are rebuilt when the canvas size, grid spacing or TUNE.visuals.marbles.seed changes
+function marbleGridKey() {
+  const M = TUNE.visuals.marbles; return [width, height, M.gridSpacing * quality.grid, M.seed].join();
+}
 
-  // ABDOMEN: compression + motion
-  if (ls && rs && lh && rh) {
-    const span = dist(ls.x, ls.y, rs.x, rs.y);
-    const scx = (ls.x + rs.x) / 2, scy = (ls.y + rs.y) / 2; const hcx = (lh.x + rh.x) / 2, hcy = (lh.y + rh.y) / 2;
-    const torsoLen = dist(scx, scy, hcx, hcy) / max(span, 1e-6); // larger when tall/extended
-    const torsoVal = 5 - constrain(map(torsoLen, C.abdomen.torsoMin, C.abdomen.torsoMax, 0, 5), 0, 5); // compressed → wider
-    const v = regionVelocity(pose, regionKeypoints.abdomen);
-    const vVal = constrain(map(v, C.abdomen.velMin, C.abdomen.velMax, 0, 5), 0, 5);
-    const abdVal = constrain(0.6 * torsoVal + 0.4 * vVal, 0, 5);
-    regionSliders.abdomen.value(lerp(regionSliders.abdomen.value(), abdVal, C.abdomen.lerp));
-  }
+// One emotion's marbles at full strength (alphaPerUnit), at the layer buffers' density
+function marbleTile({ name, layer }) {
+  const M = TUNE.visuals.marbles, field = marbleField(layer.noiseOffset || 0), density = pixelDensity() * quality.layerDensity;
+  return cached(`tile:${name}`, [marbleGridKey(), layer.color, M.alphaPerUnit, density].join('|'), () => {
+    const tile = createGraphics(width, height); tile.pixelDensity(density);
+    const c = color(layer.color); c.setAlpha(M.alphaPerUnit); tile.noStroke(); tile.fill(c);
+    for (let i = 0; i < field.points.length; i += 2) tile.ellipse(field.points[i], field.points[i + 1], field.size, field.size);
+    return tile;
+  });
+}
 
-  // LEGS/FEET: ankle spread + leg motion
-  if (la && ra && lh && rh) {
-    const hipSpan = dist(lh.x, lh.y, rh.x, rh.y);
-    const stepW = dist(la.x, la.y, ra.x, ra.y) / max(hipSpan, 1e-6);
-    const spreadVal = constrain(map(stepW, C.legsFeet.ankleSpreadMin, C.legsFeet.ankleSpreadMax, 0, 5), 0, 5);
-    const v = regionVelocity(pose, regionKeypoints.legsFeet);
-    const vVal = constrain(map(v, C.legsFeet.velMin, C.legsFeet.velMax, 0, 5), 0, 5);
-    const legsVal = constrain(0.5 * spreadVal + 0.5 * vVal, 0, 5);
-    regionSliders.legsFeet.value(lerp(regionSliders.legsFeet.value(), legsVal, C.legsFeet.lerp));
-  }
+function startTracking() { if (trackingStarted) return; trackingStarted = true; if (!replayActive) poseNet?.resume?.(); console.log('[TRACKING] ON'); if (window.EnergyBodiesDisplay) EnergyBodiesDisplay.tracking(true); }
+function stopTracking() { if (!trackingStarted) return; trackingStarted = false; poses = []; poseNet?.pause?.(); console.log('[TRACKING] OFF'); if (window.EnergyBodiesDisplay) EnergyBodiesDisplay.tracking(false); }
 
-  // SPINE sway
-  if (ls && rs) {
-    const span = dist(ls.x, ls.y, rs.x, rs.y);
-    const spineSway = ((ls.x + rs.x) * 0.5 - (video?.width || 640) / 2) / max(span, 1e-6);
-    const spineVal = map(spineSway, -C.spine.swayRange, C.spine.swayRange, 0, regionMaxWidths.spine || 100);
-    regionSliders['spine'].value(lerp(regionSliders['spine'].value(), spineVal, C.spine.lerp));
-  }
+// --------------------------- POSE → FACTORS ---------------------------
+// Pose → emotions/regions/metrics runs in js/eb-analytics.js; the sketch keeps
+// the results in its slider mirrors and metric globals.
+function analysePose(pose, body = bodies[0]) {
+  if (!pose || !pose.keypoints) return;
+  const current = { emotion: {}, region: {} };
+  for (const n of emotionNames) current.emotion[n] = body.emotionSliders[n].value();
+  for (const n of [...regionNames, 'spine']) current.region[n] = body.regionSliders[n].value();
+
+  const { emotions, regions, metrics } = body.engine.update(pose.keypoints, current);
+  for (const n of emotionNames) body.emotionSliders[n].value(emotions[n]);
+  for (const n of [...regionNames, 'spine']) body.regionSliders[n].value(regions[n]);
+  body.session.add({
+    structure: metrics.structure, balance: metrics.balance, posture: metrics.postureLean,
+    velocity: metrics.movementVelocity, emotions, regionWidths: regionNames.map(n => regions[n])
+  });
+  if (body.index !== 0) return; // the metric globals (meters, echo) follow body 0
+  ({ movementVelocity, fastVel, slowVel } = metrics);
+  smoothedStructure = metrics.structure; smoothedBalance = metrics.balance;
+  smoothedPostureLean = metrics.postureLean; smoothedAvgY = metrics.avgY;
 }
 
-function updatePoseTransform(pose) {
-  if (!pose || !pose.keypoints) return; const get = part => { const k = pose.keypoints.find(p => p.part === part); return (k && k.score > TUNE.velocity.kpMinScore) ? k.position : null; };
+function updatePoseTransform(pose, body = bodies[0]) {
+  if (!pose || !pose.keypoints) return; const get = part => { const k = pose.keypoints.find(p => p.part === part); return (k && EBAnalytics.usable(k, TUNE.velocity.kpMinScore)) ? k.position : null; };
   const ls = get('leftShoulder'), rs = get('rightShoulder'), lh = get('leftHip'), rh = get('rightHip'); if (!(ls && rs && lh && rh)) return;
   const cx = (ls.x + rs.x + lh.x + rh.x) / 4, cy = (ls.y + rs.y + lh.y + rh.y) / 4;
   const sx = (ls.x + rs.x) / 2, sy = (ls.y + rs.y) / 2, hx = (lh.x + rh.x) / 2, hy = (lh.y + rh.y) / 2; const ang = Math.atan2(hy - sy, hx - sx) - Math.PI / 2;
-  const shoulderW = Math.hypot(ls.x - rs.x, ls.y - rs.y); const baseline = 220; const s = constrain(shoulderW / baseline, 0.6, 1.8);
+  const shoulderW = Math.hypot(ls.x - rs.x, ls.y - rs.y); const baseline = body.engine.calibration().baseline?.shoulderWidth || 220; const s = constrain(shoulderW / baseline, 0.6, 1.8);
   const L = TUNE.follow.lerp; poseTx = lerp(poseTx, cx, L.tx); poseTy = lerp(poseTy, cy, L.ty); poseRot = lerp(poseRot, ang, L.rot); poseSc = lerp(poseSc, s, L.sc); _poseSeenAt = millis();
 }
 
 function updatePoseAnchor(pose) {
-  if (!pose || !pose.keypoints) return; const get = part => { const k = pose.keypoints.find(p => p.part === part); return (k && k.score > TUNE.velocity.kpMinScore) ? k.position : null; };
+  if (!pose || !pose.keypoints) return; const get = part => { const k = pose.keypoints.find(p => p.part === part); return (k && EBAnalytics.usable(k, TUNE.velocity.kpMinScore)) ? k.position : null; };
   const ls = get('leftShoulder'), rs = get('rightShoulder'), lh = get('leftHip'), rh = get('rightHip'); if (!(ls && rs && lh && rh)) return;
   const cx = (ls.x + rs.x + lh.x + rh.x) / 4, cy = (ls.y + rs.y + lh.y + rh.y) / 4; poseTx = lerp(poseTx, cx, 0.25); poseTy = lerp(poseTy, cy, 0.25); _poseSeenAt = millis();
 }
@@ -569,7 +759,56 @@ function emitPoseToControl(pose) {
   const vw = video?.width || 640;
   const vh = video?.height || 480;
   const pts = pose.keypoints.map(k => [k.part, k.position.x / vw, k.position.y / vh, k.score]);
-  window.EnergyBodiesDisplay.pose({ keypoints: pts, vw, vh, t: millis() });
+  window.EnergyBodiesDisplay.pose({ keypoints: pts, vw, vh, t: millis(), id: pose.id });
+}
+
+// How long ago the results' frame was captured (PoseNet timestamps are performance.now(); a worker estimate arrives late)
+function frameAge(results) { const t = results?.[0]?.timestamp; return Number.isFinite(t) ? Math.max(0, performance.now() - t) : 0; }
+
+// One PoseNet result set through the pose pipeline (camera or replay)
+function handlePoseResults(results) {
+  if (!trackingStarted) return;
+  const now = millis() - frameAge(results);
+  poses = tracker.update(results, now); // result.id / pose.id: the person each pose belongs to
+  const people = assignBodies(poses);
+  if (!people.length) return;
+  const pose = people[0].pose; // follow, meters and the control's skeleton use the first person
+
+  updatePoseTransform(pose, people[0].body);
+  people.forEach(p => { p.body.seenAt = now; p.body.x = EBTracker.torsoOf(p.pose, 0)?.x ?? p.body.x; });
+  if (MAX_BODIES > 1) layoutBodies();
+  people.forEach(p => { analysePose(p.pose, p.body); if (BODY_MODE === 'skeleton') updateSkeleton(p.body, p.pose); });
+  updatePoseAnchor(pose);
+
+  maybeEchoState();
+  emitPoseMetrics();   // send meters to the control (~12 fps throttled)
+
+  if (now - __lastPoseEmitAt >= POSE_EMIT_MS) {
+    __lastPoseEmitAt = now;
+    emitPoseToControl(pose);
+  }
+}
+
+// Replay: rebuild a PoseNet-shaped pose from the normalized [part, nx, ny, score]
+// keypoints emitPoseToControl sends, scaled to this display's video
+function injectPose(keypoints) {
+  const vw = video?.width || 640;
+  const vh = video?.height || 480;
+  const pose = { score: 0, keypoints: [] };
+  keypoints.forEach(([part, nx, ny, score]) => {
+    const position = { x: nx * vw, y: ny * vh };
+    pose.keypoints.push({ part, score, position });
+    pose[part] = { ...position, confidence: score };
+    pose.score += score / keypoints.length;
+  });
+  handlePoseResults([{ pose, skeleton: [] }]);
+}
+
+function setReplayActive(on) {
+  if (replayActive === on) return;
+  replayActive = on;
+  if (on) poseNet?.pause?.(); else if (trackingStarted) poseNet?.resume?.();
+  console.log(`[REPLAY] ${on ? 'ON, camera ignored' : 'OFF, camera resumed'}`);
 }
 
 function drawSkeleton() {
@@ -622,11 +861,11 @@ function drawSkeleton() {
 
 
 function windowResized() {
+  if (!sketchStarted) return; // startSketch() sizes the canvas to the window
   resizeCanvas(windowWidth, windowHeight);
+  scene.remove(); shapeMask.remove(); // free the old buffers' canvases before replacing them
   scene = createGraphics(width, height); scene.colorMode(RGB); scene.noFill(); scene.stroke(255); scene.strokeWeight(2);
-  patternGraphics = createGraphics(width, height);
   shapeMask = createGraphics(width, height);
-  emotionGraphics = createGraphics(width, height);
   originOffset = createVector(width / 2, height / 2);
 }
 
@@ -662,17 +901,19 @@ function applySliders(emotion = {}, region = {}, opts = {}) {
   const now = millis ? millis() : 0;
   if (!opts.force && now < __blockIncomingUntil) return;
 
-  const BLEND = 0.35; // 0=ignore incoming, 1=overwrite (tune as desired)
-  for (const k in emotion) {
-    if (emotionSliders[k]) {
-      const cur = emotionSliders[k].value();
-      emotionSliders[k].value(lerp(cur, Number(emotion[k]) || 0, BLEND));
+  const BLEND = opts.blend ?? 0.35; // 0=ignore incoming, 1=overwrite (tune as desired)
+  for (const body of bodies) { // control sliders steer every body
+    for (const k in emotion) {
+      if (body.emotionSliders[k]) {
+        const cur = body.emotionSliders[k].value();
+        body.emotionSliders[k].value(lerp(cur, Number(emotion[k]) || 0, BLEND));
+      }
     }
-  }
-  for (const k in region) {
-    if (regionSliders[k]) {
-      const cur = regionSliders[k].value();
-      regionSliders[k].value(lerp(cur, Number(region[k]) || 0, BLEND));
+    for (const k in region) {
+      if (body.regionSliders[k]) {
+        const cur = body.regionSliders[k].value();
+        body.regionSliders[k].value(lerp(cur, Number(region[k]) || 0, BLEND));
+      }
     }
   }
   maybeEchoState();
@@ -691,15 +932,19 @@ function resetAll({ echo = true, resetPoseCaches = true, stopTrackingNow = true
     }
   }
 
-  // B) Zero all emotion & region sliders (renderer-side state)
-  for (const n of emotionNames) {
-    if (emotionSliders[n]) emotionSliders[n].value(0);
-  }
-  for (const n of [...regionNames, 'spine']) {
-    if (regionSliders[n]) regionSliders[n].value(0);
+  // B) Zero all emotion & region sliders (renderer-side state), on every body
+  for (const body of bodies) {
+    for (const n of emotionNames) {
+      if (body.emotionSliders[n]) body.emotionSliders[n].value(0);
+    }
+    for (const n of [...regionNames, 'spine']) {
+      if (body.regionSliders[n]) body.regionSliders[n].value(0);
+    }
   }
 
   // C) Zero derived pose metrics so visuals immediately calm
+  //    (and, with resetPoseCaches, clear motion caches so next frame re-seeds velocity deltas)
+  bodies.forEach(b => b.engine.reset({ caches: resetPoseCaches, calibration: resetPoseCaches }));
   movementVelocity = 0;
   fastVel = 0;
   slowVel = 0;
@@ -719,18 +964,18 @@ function resetAll({ echo = true, resetPoseCaches = true, stopTrackingNow = true
   poseTy = vh / 2;
   _poseSeenAt = millis ? millis() : 0;
 
-  // E) Clear motion caches so next frame re-seeds velocity deltas
+  // E) Forget the last pose
   if (resetPoseCaches) {
-    __prevKeypoints = null;
-    if (__prevByPart?.clear) __prevByPart.clear();
+    poseNet?.stop?.(); // also drops PoseNet's keypoint filter state
     latestPose = null;
     poses = [];
+    tracker?.reset();
+    bodies.forEach(b => { b.seenAt = 0; b.skeleton = null; });
   }
 
   // F) Clear offscreen layers immediately
   scene?.clear?.();
-  patternGraphics?.clear?.();
-  emotionGraphics?.clear?.();
+  layerBuffers.forEach(pg => pg.clear());
   shapeMask?.clear?.();
 
   // G) Block incoming slider updates briefly so the zeros "stick"
@@ -773,3 +1018,28 @@ function maybeEchoState() {
   for (const n of [...regionNames, 'spine']) region[n] = Number(regionSliders[n]?.value() || 0);
   EnergyBodiesDisplay.echo({ emotion, region });
 }
+
+// 4) Apply a live TUNE edit from the control's tuning panel
+// Most constants are read from TUNE every frame; the ones copied at startup are pushed on here
+function applyTune(path, value) {
+  const problem = tuneEditor.set(path, value); if (problem) { console.warn(`[TUNE] ${problem}`); return false; }
+  console.log(`[TUNE] ${path} = ${value}`);
+  pushTune([path]);
+  return true;
+}
+
+// 5) Switch to a tuning profile (server/tuning.js): shipped TUNE plus the profile's edits
+function applyTuneProfile(tune = {}, name = '') {
+  tuneEditor.apply(tune).forEach(problem => console.warn(`[TUNE] ${name}: ${problem}`));
+  console.log(`[TUNE] profile ${name || '(unnamed)'}: ${Object.keys(tune).length} changes`);
+  pushTune([...tuneEditor.defaults.keys()]);
+}
+
+function pushTune(paths) {
+  const groups = new Set(paths.map(p => p.split('.')[0]));
+  if (groups.has('tracking') && tracker) Object.assign(tracker.options, TUNE.tracking);
+  if (paths.includes('inference.targetFps')) poseNet?.configure?.({ targetFps: TUNE.inference.targetFps }); // not on the synthetic source or older ml5 builds
+  if (groups.has('quality') && governor) governor.configure(TUNE.quality);
+  if (groups.has('poseFilter')) poseNet?.configure?.({ filter: TUNE.poseFilter });
+  if (paths.length === 1 && paths[0] === 'inference.worker') console.log('[TUNE] inference.worker applies after a reload');
+}